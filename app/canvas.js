@@ -1,7 +1,11 @@
 // canvas.js
 // Visible canvas (#view), OFFSCREEN source buffer (srcCanvas), PNG export, commit.
+// Sources with more than 8 bits (16-bit PNG, and bakes of it) live in state.srcFloat; srcCanvas shows them rounded.
 
 import { state } from "./state.js";
+import { renderOutputCanvas, renderOutputPixels, renderUVMap } from "./engine.js";
+import { encodePNG16 } from "./png16.js";
+import { encodeEXR } from "./exr.js";
 
 let canvas, ctx;        // visible
 let srcCanvas, srcCtx;  // offscreen 1:1 source
@@ -40,6 +44,7 @@ export async function drawSource() {
   srcCtx.setTransform(1,0,0,1,0,0);
   srcCtx.clearRect(0,0,w,h);
   srcCtx.drawImage(img, 0, 0, w, h);
+  state.srcFloat = null; // an 8-bit image replaces any high bit-depth source
 
   // bump source version so engine refreshes ImageData cache
   state.sourceVersion = (state.sourceVersion || 0) + 1;
@@ -61,62 +66,116 @@ export function fitToView() {
   state.viewScale = Math.max(0.05, Math.min(8, Math.min(availW/imgW, availH/imgH)));
 }
 
-/** Export what you see */
-export function exportPNG(filename = "distort.png") {
-  if (!canvas || !canvas.width || !canvas.height) return;
-  canvas.toBlob((blob) => {
-    if (!blob) return;
-    const url = URL.createObjectURL(blob);
-    const a = Object.assign(document.createElement("a"), { href: url, download: filename });
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
-  }, "image/png");
+/** Export the full-resolution result (1:1 source pixels, independent of zoom); depth16 writes a 16-bit PNG */
+export async function exportPNG(filename = "distort.png", { depth16 = false } = {}) {
+  let blob;
+  if (depth16) {
+    const px = await renderOutputPixels();
+    if (!px) return;
+    blob = await encodePNG16(px);
+  } else {
+    const out = await renderOutputCanvas();
+    if (!out) return;
+    blob = await new Promise(res => out.toBlob(res, "image/png"));
+  }
+  if (blob) download(blob, filename);
 }
 
-/** Bake current visible result back into srcCanvas (new source) */
+/**
+ * Export the current stack as an STMap (R,G = normalized source coordinates, A = in bounds).
+ * format: "png16" | "exr" | "raw" (little-endian float32 RGBA, size in the file name).
+ * flipV puts the V origin at the bottom (Nuke / Blender convention).
+ */
+export async function exportUVMap(format = "exr", { flipV = false } = {}) {
+  const uv = await renderUVMap();
+  if (!uv) return;
+  const { width: w, height: h, data } = uv;
+  if (flipV) for (let i = 1; i < data.length; i += 4) data[i] = 1 - data[i];
+
+  if (format === "png16") {
+    const scaled = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) scaled[i] = data[i] * 255;
+    download(await encodePNG16({ width: w, height: h, data: scaled }), "uvmap.png");
+  } else if (format === "raw") {
+    download(new Blob([data.buffer], { type: "application/octet-stream" }), `uvmap_${w}x${h}_rgba_f32le.raw`);
+  } else {
+    download(encodeEXR(uv), "uvmap.exr");
+  }
+}
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = Object.assign(document.createElement("a"), { href: url, download: filename });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/** Bake the full-resolution result back into srcCanvas (new source). Resolves true if baked. */
 export async function commitToSource() {
-  if (!canvas) return;
-  if (committing) return;
+  if (!canvas) return false;
+  if (committing) return false;
   committing = true;
 
   try {
-    const blob = await new Promise((res, rej)=>{
-      canvas.toBlob(b => b ? res(b) : rej(new Error("toBlob() failed")), "image/png");
-    });
-
-    const url = URL.createObjectURL(blob);
-    const img = new Image();
-    img.crossOrigin = "anonymous";
-
-    await new Promise((res, rej)=>{
-      img.onload = res;
-      img.onerror = ()=>rej(new Error("Committed image failed to load"));
-      img.src = url;
-    });
-
-    const w = img.naturalWidth || img.width || 0;
-    const h = img.naturalHeight || img.height || 0;
-
-    if (w && h) {
-      if (srcCanvas.width !== w || srcCanvas.height !== h) {
-        srcCanvas.width = w; srcCanvas.height = h;
-      }
-      srcCtx.setTransform(1,0,0,1,0,0);
-      srcCtx.clearRect(0,0,w,h);
-      srcCtx.drawImage(img, 0, 0, w, h);
-
-      state.image = img; // корисно для fitToView
-      state.sourceVersion = (state.sourceVersion || 0) + 1;
+    // A high bit-depth source stays float, so repeated bakes do not requantize it to 8 bits.
+    // An 8-bit source is rounded back to 8 bits: a float source costs 4× the memory, in every worker.
+    const out = await renderOutputPixels();
+    if (!out || !out.width || !out.height) return false;
+    if (state.srcFloat) {
+      setSourcePixels(out);
+    } else {
+      const img = new ImageData(out.width, out.height);
+      img.data.set(out.data);
+      setSourcePixels(img);
     }
-
-    URL.revokeObjectURL(url);
+    return true;
   } finally {
     committing = false;
   }
 }
 
+/**
+ * Current source pixels: the float buffer if there is one, else the 8-bit srcCanvas contents.
+ * @returns {ImageData|{width:number,height:number,data:Float32Array}|null}
+ */
+export function getSourcePixels() {
+  if (!srcCanvas || !srcCanvas.width || !srcCanvas.height) return null;
+  const f = state.srcFloat;
+  if (f && f.width === srcCanvas.width && f.height === srcCanvas.height) return f;
+  return srcCtx.getImageData(0, 0, srcCanvas.width, srcCanvas.height);
+}
+
+/**
+ * Replace the source with raw pixels (bake, 16-bit load, history restore): ImageData, or
+ * { width, height, data: Float32Array } which is kept as the high bit-depth source.
+ * state.image gets a detached 8-bit copy.
+ */
+export function setSourcePixels(pixels) {
+  const { width: w, height: h } = pixels;
+  let imageData = pixels;
+  if (pixels.data instanceof Float32Array) {
+    imageData = new ImageData(w, h);
+    imageData.data.set(pixels.data); // clamped + rounded to 8 bits for display
+    state.srcFloat = pixels;
+  } else {
+    state.srcFloat = null;
+  }
+  if (srcCanvas.width !== w || srcCanvas.height !== h) {
+    srcCanvas.width = w; srcCanvas.height = h;
+  }
+  srcCtx.setTransform(1,0,0,1,0,0);
+  srcCtx.putImageData(imageData, 0, 0);
+
+  const copy = document.createElement("canvas");
+  copy.width = w; copy.height = h;
+  copy.getContext("2d").putImageData(imageData, 0, 0);
+  state.image = copy; // keeps fitToView / drawSource consistent with the restored pixels
+
+  state.sourceVersion = (state.sourceVersion || 0) + 1;
+}
+
 /** Expose refs */
 export function getCanvasRefs() {
   return { canvas, ctx, srcCanvas, srcCtx };
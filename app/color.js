@@ -0,0 +1,27 @@
+// color.js
+// sRGB transfer functions on the engine's 0..255 channel scale (alpha is never converted).
+
+let decodeLUT = null;
+
+/** sRGB-encoded value (0..255, may be fractional) → linear light (0..255) */
+export function srgbToLinear(v) {
+  if (Number.isInteger(v) && v >= 0 && v <= 255) {
+    if (!decodeLUT) {
+      decodeLUT = new Float32Array(256);
+      for (let i = 0; i < 256; i++) decodeLUT[i] = decode(i);
+    }
+    return decodeLUT[v];
+  }
+  return decode(v);
+}
+
+/** Linear light (0..255) → sRGB-encoded value (0..255, unrounded) */
+export function linearToSrgb(v) {
+  const c = Math.max(0, Math.min(1, v / 255));
+  return 255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+}
+
+function decode(v) {
+  const c = Math.max(0, Math.min(1, v / 255));
+  return 255 * (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+}
@@ -0,0 +1,98 @@
+// config.js
+// Where the Lab, the plugin page and Photopea live, and which origins may talk to each other.
+// Shared by plugin.html and the Lab (main.js), so a fork or a local copy changes it in one place.
+//
+// Sources, later wins:
+//   1. built-in defaults (the public deployment)
+//   2. config.json next to index.html / plugin.html (optional, for self-hosted forks):
+//        { "labUrl": "https://example.org/distort-lab/", "pluginOrigin": "https://example.org",
+//          "photopeaOrigin": "https://www.photopea.com", "trustedOrigins": ["https://staging.example.org"] }
+//   3. query string of the page: ?labUrl=…&pluginOrigin=…&photopeaOrigin=…
+//
+// Trust: only origins on the allow-list are used or accepted — the defaults, every origin named in
+// config.json (plus its "trustedOrigins"; "http://host:*" allows any port) and, when the page itself
+// is served from localhost / 127.0.0.1, any local origin (local development). The query string can
+// pick among trusted origins but never adds one; an untrusted value is ignored with a warning.
+
+const DEFAULTS = {
+  labUrl:         "https://pt-home.github.io/Distort_Lab_for_Photopea/",
+  pluginOrigin:   "https://pt-home.github.io",
+  photopeaOrigin: "https://www.photopea.com",
+};
+const KEYS = Object.keys(DEFAULTS);
+const LOCAL = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+const CONFIG_FILE = new URL("../config.json", import.meta.url);
+
+/**
+ * Resolve the configuration for this page.
+ * @returns {Promise<{labUrl:string, labOrigin:string, pluginOrigin:string, photopeaOrigin:string,
+ *                    dev:boolean, isTrusted:(origin:string)=>boolean}>}
+ */
+export async function loadConfig(search = location.search) {
+  const cfg = { ...DEFAULTS };
+  const exact = new Set(KEYS.map(k => originOf(DEFAULTS[k])));
+  const anyPort = new Set();
+
+  const file = await readConfigFile();
+  for (const key of KEYS) {
+    if (!(key in file)) continue;
+    const o = originOf(file[key]);
+    if (o) { cfg[key] = String(file[key]); exact.add(o); }
+    else console.warn(`[DL-CONFIG] config.json: ${key} is not an http(s) URL — ignored`);
+  }
+  for (const entry of Array.isArray(file.trustedOrigins) ? file.trustedOrigins : []) {
+    const m = /^(https?:\/\/[^/:]+):\*$/.exec(String(entry));
+    if (m) anyPort.add(m[1]);
+    else if (originOf(entry)) exact.add(originOf(entry));
+    else console.warn(`[DL-CONFIG] config.json: trusted origin ${JSON.stringify(entry)} ignored`);
+  }
+
+  const dev = LOCAL.test(location.origin);
+  const isTrusted = (origin) => {
+    if (typeof origin !== "string" || !origin) return false;
+    if (exact.has(origin) || (dev && LOCAL.test(origin))) return true;
+    const i = origin.lastIndexOf(":");
+    return i > origin.indexOf("//") && anyPort.has(origin.slice(0, i));
+  };
+
+  const q = new URLSearchParams(search);
+  for (const key of KEYS) {
+    const v = q.get(key);
+    if (!v) continue;
+    const o = originOf(v);
+    if (o && isTrusted(o)) cfg[key] = v;
+    else console.warn(`[DL-CONFIG] ?${key}=${v} ignored: ${o || "invalid URL"} is not a trusted origin`);
+  }
+
+  return Object.freeze({
+    labUrl: cfg.labUrl,
+    labOrigin: originOf(cfg.labUrl),
+    pluginOrigin: originOf(cfg.pluginOrigin),
+    photopeaOrigin: originOf(cfg.photopeaOrigin),
+    dev,
+    isTrusted,
+  });
+}
+
+// The optional config.json; a missing or broken file means "defaults"
+async function readConfigFile() {
+  try {
+    const res = await fetch(CONFIG_FILE, { cache: "no-store" });
+    if (!res.ok) return {};
+    const data = await res.json();
+    return (data && typeof data === "object") ? data : {};
+  } catch (e) {
+    if (e instanceof SyntaxError) console.warn("[DL-CONFIG] config.json is not valid JSON — using defaults");
+    return {};
+  }
+}
+
+// "https://host:port" of an http(s) URL, or "" if it is not one
+function originOf(v) {
+  try {
+    const u = new URL(String(v));
+    return (u.protocol === "https:" || u.protocol === "http:") ? u.origin : "";
+  } catch {
+    return "";
+  }
+}
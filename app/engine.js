@@ -1,21 +1,25 @@
 // engine.js
 // Read from OFFSCREEN srcCanvas → write to visible #view with zoom.
 // Safe fallback: if srcCanvas empty but state.image exists — draw directly and hydrate srcCanvas.
+// Output (export / copy / bake) is rendered separately at 1:1 source pixels, never read back from #view.
+// The per-pixel work itself runs in the worker pool (pool.js → worker.js → kernel.js).
 
 import { state } from "./state.js";
-import { getSampler, bilinearSample, edgeResolve } from "./utils.js";
-import { drawSource } from "./canvas.js";
+import { drawSource, getSourcePixels } from "./canvas.js";
+import { runJob, setPoolSource, setPoolMask } from "./pool.js";
 
 let srcData = null;
 let srcW = 0, srcH = 0;
 let lastSourceVersion = -1;
+let lastMask = null, lastMaskVersion = -1;
+let outputSeq = 0;
 
 /**
  * Main render: consumes state.srcCanvas (1:1 source) and produces visible output in state.canvas.
  * Zoom is applied by resampling into a different-sized destination canvas.
  */
 export function render() {
-  const { canvas, ctx, srcCanvas, srcCtx, currentFilter, params, viewScale } = state;
+  const { canvas, ctx, srcCanvas, viewScale } = state;
 
   // Fallback: if no source buffer yet but we do have an Image, populate srcCanvas now.
   if ((!srcCanvas || srcCanvas.width === 0 || srcCanvas.height === 0) && state.image) {
@@ -43,18 +47,7 @@ export function render() {
     return;
   }
 
-  if (!hasSrc) return;
-
-  // Refresh cached source pixels when size or sourceVersion changes
-  if (!srcData
-      || srcW !== srcCanvas.width
-      || srcH !== srcCanvas.height
-      || lastSourceVersion !== (state.sourceVersion || 0)) {
-    srcW = srcCanvas.width;
-    srcH = srcCanvas.height;
-    lastSourceVersion = state.sourceVersion || 0;
-    srcData = srcCtx.getImageData(0, 0, srcW, srcH);
-  }
+  if (!hasSrc || !refreshSource()) return;
 
   // Destination canvas size = source size * zoom
   const scale = Math.max(0.01, viewScale || 1);
@@ -64,67 +57,143 @@ export function render() {
     canvas.width = outW; canvas.height = outH;
   }
 
-  const dst = ctx.createImageData(outW, outH);
-  const dstBuf = dst.data;
-  const srcBuf = srcData.data;
-
-  // Current filter and parameters (provided by main/ui)
-  const filt = state.currentFilter;              // <— no getFilterById
-  const p    = params[state.filterId] || {};
-
-  // If no filter mapping function, do a straight resample (preview still works)
-  if (!filt || typeof filt.map !== "function") {
-    let k = 0;
-    for (let y = 0; y < outH; y++) {
-      const ys = y / scale;
-      for (let x = 0; x < outW; x++, k += 4) {
-        const xs = x / scale;
-        const xi = Math.max(0, Math.min(srcW - 1, Math.floor(xs)));
-        const yi = Math.max(0, Math.min(srcH - 1, Math.floor(ys)));
-        const si = (yi * srcW + xi) * 4;
-        dstBuf[k+0] = srcBuf[si+0];
-        dstBuf[k+1] = srcBuf[si+1];
-        dstBuf[k+2] = srcBuf[si+2];
-        dstBuf[k+3] = srcBuf[si+3];
-      }
+  // Tiles stream into the view as workers finish them; a newer render cancels this one.
+  // While dragging we render a coarse pass; main.js requests a full pass on release.
+  const step = state.interactive ? INTERACTIVE_STEP : 1;
+  runJob("preview", currentSpec(scale, step), outW, outH, (rect, pixels) => {
+    ctx.putImageData(new ImageData(pixels, rect.w, rect.h), rect.x, rect.y);
+  }).catch(e => console.error("[DL-LAB] render failed:", e));
+}
+
+/**
+ * Output render: runs the filter stack at 1:1 source pixels into a fresh offscreen canvas.
+ * Used by Export PNG, Copy to Clipboard, Export to Photopea and Bake — independent of viewScale.
+ * Resolves to null when there is no source image yet.
+ */
+export async function renderOutputCanvas() {
+  const { srcCanvas } = state;
+  if ((!srcCanvas || !srcCanvas.width || !srcCanvas.height) && state.image) {
+    try { await drawSource(); } catch (_) {}
+  }
+  if (!refreshSource()) return null;
+
+  const out = document.createElement("canvas");
+  out.width = srcW; out.height = srcH;
+  const octx = out.getContext("2d");
+  const dst = octx.createImageData(srcW, srcH);
+
+  const done = await runJob(outputKey("output"), currentSpec(1), srcW, srcH, (rect, pixels) => {
+    for (let row = 0; row < rect.h; row++) {
+      dst.data.set(pixels.subarray(row * rect.w * 4, (row + 1) * rect.w * 4), ((rect.y + row) * srcW + rect.x) * 4);
     }
-    ctx.putImageData(dst, 0, 0);
-    return;
+  });
+  if (!done) return null;
+
+  octx.putImageData(dst, 0, 0);
+  return out;
+}
+
+/**
+ * Output render as unrounded float RGBA (0..255) at 1:1 source pixels — for bakes and 16-bit export.
+ * Resolves to null when there is no source image or the job was cancelled.
+ * @returns {Promise<{width:number,height:number,data:Float32Array}|null>}
+ */
+export async function renderOutputPixels() {
+  const { srcCanvas } = state;
+  if ((!srcCanvas || !srcCanvas.width || !srcCanvas.height) && state.image) {
+    try { await drawSource(); } catch (_) {}
   }
+  if (!refreshSource()) return null;
+
+  const w = srcW, h = srcH;
+  const data = new Float32Array(w * h * 4);
+  const spec = { ...currentSpec(1), float: true };
+  const done = await runJob(outputKey("output"), spec, w, h, (rect, pixels) => {
+    for (let row = 0; row < rect.h; row++) {
+      data.set(pixels.subarray(row * rect.w * 4, (row + 1) * rect.w * 4), ((rect.y + row) * w + rect.x) * 4);
+    }
+  });
+  return done ? { width: w, height: h, data } : null;
+}
 
-  // Geometry parameters in source pixel space
-  const center = {
-    cx: (p.centerX !== undefined ? (p.centerX / 100) * srcW : srcW * 0.5),
-    cy: (p.centerY !== undefined ? (p.centerY / 100) * srcH : srcH * 0.5),
-  };
-  const radiusPx = (p.radius !== undefined
-    ? (p.radius / 100) * Math.min(srcW, srcH) * 0.5
-    : Math.min(srcW, srcH));
-
-  const edgeMode = p.edgeMode || "clamp";
-  const sampler  = getSampler(edgeMode, srcW, srcH, srcBuf);
-
-  // Main mapping loop
-  let i = 0;
-  for (let y = 0; y < outH; y++) {
-    const yS = y / scale;
-    for (let x = 0; x < outW; x++, i += 4) {
-      const xS = x / scale;
-
-      const { u, v, aOverride } = filt.map(xS, yS, srcW, srcH, { ...p, ...center, radiusPx });
-      const { ux, vy, out } = edgeResolve(u, v, srcW, srcH, edgeMode);
-
-      if (out) {
-        dstBuf[i+0] = 0; dstBuf[i+1] = 0; dstBuf[i+2] = 0; dstBuf[i+3] = 0;
-      } else {
-        const rgba = bilinearSample(sampler, ux, vy);
-        dstBuf[i+0] = rgba[0];
-        dstBuf[i+1] = rgba[1];
-        dstBuf[i+2] = rgba[2];
-        dstBuf[i+3] = (aOverride !== undefined) ? aOverride : rgba[3];
-      }
+/**
+ * STMap of the current stack at 1:1 source pixels: R,G = normalized source coordinates, A = in bounds
+ * (see kernel.js uvTile). Resolves to null when there is no source image or the job was cancelled.
+ * @returns {Promise<{width:number,height:number,data:Float32Array}|null>}
+ */
+export async function renderUVMap() {
+  if (!refreshSource()) return null;
+  const w = srcW, h = srcH;
+  const data = new Float32Array(w * h * 4);
+  const spec = { ...currentSpec(1), float: true, uv: true };
+  const done = await runJob(outputKey("uvmap"), spec, w, h, (rect, pixels) => {
+    for (let row = 0; row < rect.h; row++) {
+      data.set(pixels.subarray(row * rect.w * 4, (row + 1) * rect.w * 4), ((rect.y + row) * w + rect.x) * 4);
     }
+  });
+  return done ? { width: w, height: h, data } : null;
+}
+
+// Output renders may overlap (an export while a bake runs) and must not cancel each other,
+// so unlike the preview every one gets its own job key
+function outputKey(kind) {
+  return `${kind}:${++outputSeq}`;
+}
+
+// Sample density of the coarse preview while a slider is dragged (every Nth output pixel)
+const INTERACTIVE_STEP = 4;
+
+// What the workers need to know about the filter stack (plain data, structured-cloneable)
+function currentSpec(scale, step = 1) {
+  const useMask = refreshMask();
+  return {
+    useMask,
+    layers: state.stack.filter(l => l.enabled).map(l => ({ filterId: l.filterId, params: { ...l.params } })),
+    scale,
+    step,
+    ...state.settings,   // sampler, quality, linear, frame
+    centerRect: centerRect(),
+  };
+}
+
+/**
+ * Rectangle (source pixels) that Center X/Y and Radius refer to: the Photopea document around
+ * the layer when the "frame" setting says so and the layer came with its bounds, else null (the source).
+ */
+export function centerRect() {
+  const b = state.docBounds;
+  if (!b || state.settings.frame !== "document") return null;
+  return { x: -b.x, y: -b.y, width: b.docWidth, height: b.docHeight };
+}
+
+// Publish the strength mask to the pool when it changed; true if the mask applies
+function refreshMask() {
+  const m = state.mask;
+  if (!m || !m.enabled) return false;
+  if (m !== lastMask || m.version !== lastMaskVersion) {
+    const same = m === lastMask;
+    lastMask = m;
+    lastMaskVersion = m.version;
+    // The same mask as last time only needs the part painted since
+    setPoolMask(m.version, m, same ? m.dirty : null);
+    m.dirty = null;
   }
+  return true;
+}
 
-  ctx.putImageData(dst, 0, 0);
+// Refresh cached source pixels when size or sourceVersion changes
+function refreshSource() {
+  const { srcCanvas, srcCtx } = state;
+  if (!srcCanvas || !srcCtx || !srcCanvas.width || !srcCanvas.height) return false;
+  if (!srcData
+      || srcW !== srcCanvas.width
+      || srcH !== srcCanvas.height
+      || lastSourceVersion !== (state.sourceVersion || 0)) {
+    srcW = srcCanvas.width;
+    srcH = srcCanvas.height;
+    lastSourceVersion = state.sourceVersion || 0;
+    srcData = getSourcePixels(); // ImageData, or the float buffer of a high bit-depth source
+    setPoolSource(lastSourceVersion, srcData);
+  }
+  return true;
 }
@@ -0,0 +1,177 @@
+// exr.js
+// Minimal OpenEXR support for STMaps.
+// Writer: single part, scanline, uncompressed, 32-bit float RGBA (Nuke, After Effects, Blender read it).
+// Reader: single part scanline files, uncompressed or ZIP/ZIPS, HALF/FLOAT/UINT channels.
+
+/**
+ * Encode float RGBA pixels as an EXR file.
+ * @param {{width:number,height:number,data:Float32Array}} pixels  interleaved RGBA, any range
+ * @returns {Blob}
+ */
+export function encodeEXR({ width, height, data }) {
+  const header = [];
+  const attr = (name, type, bytes) => {
+    header.push(cstr(name), cstr(type), int32(bytes.length), bytes);
+  };
+
+  // Channels must be listed in alphabetical order; the pixel data follows the same order
+  const channels = ["A", "B", "G", "R"];
+  attr("channels", "chlist", concat([
+    ...channels.map(c => concat([cstr(c), int32(2 /* FLOAT */), new Uint8Array(4) /* pLinear + reserved */, int32(1), int32(1)])),
+    new Uint8Array(1),
+  ]));
+  attr("compression", "compression", new Uint8Array([0]));          // NO_COMPRESSION
+  attr("dataWindow", "box2i", concat([int32(0), int32(0), int32(width - 1), int32(height - 1)]));
+  attr("displayWindow", "box2i", concat([int32(0), int32(0), int32(width - 1), int32(height - 1)]));
+  attr("lineOrder", "lineOrder", new Uint8Array([0]));              // INCREASING_Y
+  attr("pixelAspectRatio", "float", float32(1));
+  attr("screenWindowCenter", "v2f", concat([float32(0), float32(0)]));
+  attr("screenWindowWidth", "float", float32(1));
+  header.push(new Uint8Array(1));
+
+  const head = concat([new Uint8Array([0x76, 0x2f, 0x31, 0x01, 2, 0, 0, 0]), ...header]);
+
+  // One scanline per block: y, byte count, then each channel's row
+  const rowBytes = width * 4 * channels.length;
+  const blockBytes = 8 + rowBytes;
+  const offsets = new DataView(new ArrayBuffer(8 * height));
+  const first = head.length + 8 * height;
+  for (let y = 0; y < height; y++) offsets.setBigUint64(8 * y, BigInt(first + y * blockBytes), true);
+
+  const blocks = new DataView(new ArrayBuffer(blockBytes * height));
+  const order = [3, 2, 1, 0]; // A, B, G, R → offsets in RGBA
+  for (let y = 0; y < height; y++) {
+    let p = y * blockBytes;
+    blocks.setInt32(p, y, true);
+    blocks.setInt32(p + 4, rowBytes, true);
+    p += 8;
+    for (const c of order) {
+      for (let x = 0; x < width; x++, p += 4) blocks.setFloat32(p, data[(y * width + x) * 4 + c], true);
+    }
+  }
+
+  return new Blob([head, offsets, blocks], { type: "image/x-exr" });
+}
+
+/**
+ * Decode a scanline EXR into interleaved float RGBA (values as stored, alpha 1 when absent;
+ * a lone Y channel is used as gray). Throws on tiled / multi-part files or other compressions.
+ * @returns {Promise<{width:number,height:number,data:Float32Array}>}
+ */
+export async function decodeEXR(buffer) {
+  const dv = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  if (dv.getUint32(0, true) !== 20000630) throw new Error("Not an EXR file.");
+  if (dv.getUint8(5) & 0x1e) throw new Error("Only single-part scanline EXR files are supported.");
+
+  let p = 8;
+  const str = () => { const e = bytes.indexOf(0, p); const s = String.fromCharCode(...bytes.subarray(p, e)); p = e + 1; return s; };
+  const channels = [];
+  let compression = 0, box = null;
+  while (bytes[p] !== 0) {
+    const name = str(), type = str();
+    const size = dv.getInt32(p, true); p += 4;
+    const end = p + size;
+    if (name === "channels" && type === "chlist") {
+      while (bytes[p] !== 0) {
+        const ch = str();
+        channels.push({ name: ch, type: dv.getInt32(p, true) });
+        p += 16;
+      }
+    } else if (name === "compression") {
+      compression = bytes[p];
+    } else if (name === "dataWindow") {
+      box = [0, 4, 8, 12].map(o => dv.getInt32(p + o, true));
+    }
+    p = end;
+  }
+  p++;
+  if (!box || !channels.length) throw new Error("EXR header is incomplete.");
+  if (compression > 3 || compression === 1) throw new Error("EXR compression not supported (use none or ZIP).");
+
+  const width = box[2] - box[0] + 1, height = box[3] - box[1] + 1;
+  const linesPerBlock = compression === 3 ? 16 : 1;
+  const blocks = Math.ceil(height / linesPerBlock);
+  const bytesPer = (t) => t === 1 ? 2 : 4;
+  const rowBytes = channels.reduce((n, c) => n + width * bytesPer(c.type), 0);
+
+  // Destination channel (0..3 in RGBA) for each stored channel; layer prefixes ("rgba.R") are ignored
+  const target = channels.map(c => {
+    const n = c.name.split(".").pop().toUpperCase();
+    return n === "R" ? [0] : n === "G" ? [1] : n === "B" ? [2] : n === "A" ? [3] : n === "Y" ? [0, 1, 2] : [];
+  });
+  const data = new Float32Array(width * height * 4);
+  if (!channels.some(c => c.name.split(".").pop().toUpperCase() === "A")) for (let i = 3; i < data.length; i += 4) data[i] = 1;
+
+  let table = p;
+  for (let b = 0; b < blocks; b++, table += 8) {
+    let q = Number(dv.getBigUint64(table, true));
+    const y0 = dv.getInt32(q, true) - box[1];
+    const size = dv.getInt32(q + 4, true);
+    q += 8;
+    const lines = Math.min(linesPerBlock, height - y0);
+    let block = bytes.subarray(q, q + size);
+    if (compression !== 0 && size < rowBytes * lines) block = await unzipBlock(block);
+    const bv = new DataView(block.buffer, block.byteOffset, block.byteLength);
+
+    let o = 0;
+    for (let l = 0; l < lines; l++) {
+      const row = (y0 + l) * width;
+      channels.forEach((c, ci) => {
+        for (let x = 0; x < width; x++) {
+          let v;
+          if (c.type === 1) { v = halfToFloat(bv.getUint16(o, true)); o += 2; }
+          else if (c.type === 2) { v = bv.getFloat32(o, true); o += 4; }
+          else { v = bv.getUint32(o, true); o += 4; }
+          for (const t of target[ci]) data[(row + x) * 4 + t] = v;
+        }
+      });
+    }
+  }
+  return { width, height, data };
+}
+
+// ZIP blocks: zlib, then a delta predictor over the bytes, then even/odd byte halves re-interleaved
+async function unzipBlock(block) {
+  const stream = new Blob([block]).stream().pipeThrough(new DecompressionStream("deflate"));
+  const t = new Uint8Array(await new Response(stream).arrayBuffer());
+  for (let i = 1; i < t.length; i++) t[i] = (t[i - 1] + t[i] - 128) & 255;
+  const out = new Uint8Array(t.length), half = (t.length + 1) >> 1;
+  for (let i = 0, j = 0; j < t.length; i++) {
+    out[j++] = t[i];
+    if (j < t.length) out[j++] = t[half + i];
+  }
+  return out;
+}
+
+function halfToFloat(h) {
+  const s = (h & 0x8000) ? -1 : 1, e = (h >> 10) & 0x1f, f = h & 0x3ff;
+  if (e === 0) return s * Math.pow(2, -14) * (f / 1024);
+  if (e === 31) return f ? NaN : s * Infinity;
+  return s * Math.pow(2, e - 15) * (1 + f / 1024);
+}
+
+function cstr(s) {
+  const out = new Uint8Array(s.length + 1);
+  for (let i = 0; i < s.length; i++) out[i] = s.charCodeAt(i);
+  return out;
+}
+
+function int32(v) {
+  const b = new Uint8Array(4);
+  new DataView(b.buffer).setInt32(0, v, true);
+  return b;
+}
+
+function float32(v) {
+  const b = new Uint8Array(4);
+  new DataView(b.buffer).setFloat32(0, v, true);
+  return b;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) { out.set(p, o); o += p.length; }
+  return out;
+}
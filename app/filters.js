@@ -22,19 +22,25 @@ import cayley        from "../filters/cayley.js";
 import joukowski     from "../filters/joukowski.js";
 import blaschke      from "../filters/blaschke.js";
 import scSquare      from "../filters/sc_square.js"; 
+import displace      from "../filters/displace.js";
+import mesh          from "../filters/mesh.js";
+import pin           from "../filters/pin.js";
 
 
 export const registry = [
   angular,
   blaschke,
   cayley,
+  displace,
   expFilter,
   fourier,
   hyperbolic,
   joukowski,    
   logFilter,
+  mesh,
   mobius,  
   perlin,
+  pin,
   pinch,
   polar,
   powFilter, 
@@ -51,9 +57,27 @@ export const registry = [
   zigzag  
 ];
 
+/**
+ * Controls every filter gets on top of its own `params` (rendered after them, stored alongside them).
+ * Strength scales the displacement itself: (u,v) = (x,y) + s·(map(x,y) − (x,y)); > 100% extrapolates.
+ * Opacity / blend mix the layer's distorted result with its undistorted input.
+ */
+export const sharedParams = {
+  warpStrength: { label:"Warp strength (%)", type:"range", min:0, max:200, step:1, default:100, shared:true },
+  opacity:   { label:"Opacity (%)", type:"range", min:0, max:100, step:1, default:100, shared:true },
+  blendMode: { label:"Blend", type:"select",
+               options:["normal","multiply","screen","overlay","difference","lighten","darken"],
+               default:"normal", shared:true },
+};
+
+/** Full params schema of a filter: its own params followed by the shared ones */
+export function paramSchema(filter) {
+  return { ...(filter.params || {}), ...sharedParams };
+}
+
 export function defaultParamsFor(filter) {
   const o = {};
-  for (const [k, def] of Object.entries(filter.params || {})) o[k] = def.default;
+  for (const [k, def] of Object.entries(paramSchema(filter))) o[k] = def.default;
   return o;
 }
 
@@ -0,0 +1,136 @@
+// history.js
+// Undo/redo as a linear list of snapshots.
+// Each entry holds the full filter stack + parameter state; source pixels (ImageData, or float pixels of a
+// high bit-depth source) are shared by reference
+// between entries and only replaced by a bake, so parameter edits cost no pixel copies.
+// Consecutive edits with the same coalesce key (one slider drag) update the top entry until sealed.
+// Every bake keeps a full-size pixel buffer alive, so past MAX_SOURCE_BYTES the oldest steps are dropped.
+
+import { state, setStack } from "./state.js";
+import { setSourcePixels, getSourcePixels } from "./canvas.js";
+
+const MAX_ENTRIES = 100;
+const MAX_SOURCE_BYTES = 512 * 1024 * 1024;
+
+let entries = [];        // { label, snap: { stack, activeLayer, params, settings }, source, coalesce, sealed }
+let index = -1;          // entry currently shown
+let liveSource = null;   // source pixels currently loaded (as far as history knows)
+const listeners = new Set();
+
+/** Start a fresh history (new image loaded) */
+export function resetHistory(label = "Open image") {
+  entries = [];
+  index = -1;
+  liveSource = null;
+  push({ label, source: null });
+}
+
+/**
+ * Record the current state after a change.
+ * opts.coalesce — key that merges consecutive edits (e.g. "param:<layer uid>:angle") into one step
+ * opts.source   — new source pixels (bakes only)
+ */
+export function recordHistory(label, opts = {}) {
+  const top = entries[index];
+  if (opts.coalesce && top && !top.sealed && top.coalesce === opts.coalesce && index === entries.length - 1) {
+    top.snap = snapshot();
+    emit();
+    return;
+  }
+  if (top) top.sealed = true;
+  entries.length = index + 1; // drop redo branch
+  push({ label, coalesce: opts.coalesce || null, source: opts.source || (top ? top.source : null) });
+}
+
+/** End the current coalescing run (slider released / input committed) */
+export function sealHistory() {
+  if (entries[index]) entries[index].sealed = true;
+}
+
+/**
+ * Make sure the steps before a bake keep the pixels the bake is about to overwrite.
+ * Returns a function that takes the capture back when the bake does not happen.
+ */
+export function captureSourceForHistory() {
+  if (entries[index]?.source) return () => {};
+  const pixels = getSourcePixels();
+  if (!pixels) return () => {};
+  const filled = entries.filter(e => !e.source);
+  const prevLive = liveSource;
+  for (const e of filled) e.source = pixels;
+  liveSource = pixels;
+  return () => {
+    for (const e of filled) if (e.source === pixels) e.source = null;
+    if (liveSource === pixels) liveSource = prevLive;
+  };
+}
+
+export function canUndo() { return index > 0; }
+export function canRedo() { return index < entries.length - 1; }
+export function undo() { return canUndo() ? jumpTo(index - 1) : false; }
+export function redo() { return canRedo() ? jumpTo(index + 1) : false; }
+
+/** Restore entry i (stack, params and — if it differs — source pixels) */
+export function jumpTo(i) {
+  const e = entries[i];
+  if (!e || i === index) return false;
+  sealHistory();
+  index = i;
+
+  state.params = structuredClone(e.snap.params);
+  state.settings = structuredClone(e.snap.settings);
+  setStack(e.snap.stack, e.snap.activeLayer);
+  if (e.source && e.source !== liveSource) {
+    setSourcePixels(e.source);
+    liveSource = e.source;
+  }
+  emit();
+  return true;
+}
+
+/** Every { filterId, params } any entry holds (its layers and last-used params) — for images.js */
+export function historyParamSets() {
+  return entries.flatMap(e => [
+    ...e.snap.stack,
+    ...Object.entries(e.snap.params).map(([filterId, params]) => ({ filterId, params })),
+  ]);
+}
+
+/** { entries: [{label}], index } for the history panel */
+export function getHistory() {
+  return { entries: entries.map(e => ({ label: e.label })), index };
+}
+
+/** Subscribe to any history change; returns an unsubscribe function */
+export function onHistoryChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function push({ label, coalesce = null, source }) {
+  entries.push({ label, snap: snapshot(), source, coalesce, sealed: !coalesce });
+  if (source) liveSource = source;
+  if (entries.length > MAX_ENTRIES) entries.splice(0, entries.length - MAX_ENTRIES);
+  index = entries.length - 1;
+  // Only entries holding other pixels than the current one can free memory
+  while (entries[0].source !== entries[index].source && sourceBytes() > MAX_SOURCE_BYTES) {
+    entries.shift();
+    index--;
+  }
+  emit();
+}
+
+// Bytes of the distinct source buffers the entries keep
+function sourceBytes() {
+  let n = 0;
+  for (const s of new Set(entries.map(e => e.source))) if (s) n += s.data.byteLength;
+  return n;
+}
+
+function snapshot() {
+  return structuredClone({ stack: state.stack, activeLayer: state.activeLayer, params: state.params, settings: state.settings });
+}
+
+function emit() {
+  for (const fn of listeners) { try { fn(); } catch (e) { console.error(e); } }
+}
@@ -0,0 +1,110 @@
+// images.js
+// Images used as filter parameters (displacement maps, STMaps, …). An "image" param stores an id;
+// the pixels live here and are published to the render workers (pool.js → kernel.js).
+// Ids are derived from the file contents, so presets that embed the same file agree on the id.
+// The original file is kept as a data URL for presets and the saved session.
+// Nothing is freed on its own: the app calls releaseImages() with the ids it still refers to.
+
+import { setPoolImage } from "./pool.js";
+import { registry } from "./filters.js";
+import { isPNG16, decodePNG16 } from "./png16.js";
+import { decodeEXR } from "./exr.js";
+
+const images = new Map(); // id → { id, name, width, height, url }
+
+/** Decode an image file (8-bit formats, 16-bit PNG, EXR) and register it; resolves to its id */
+export async function loadImageFile(file) {
+  const buffer = await file.arrayBuffer();
+  const id = "img-" + hash(new Uint8Array(buffer));
+  if (images.has(id)) return id;
+  const url = await new Promise((res, rej) => {
+    const r = new FileReader();
+    r.onload = () => res(r.result);
+    r.onerror = () => rej(new Error("Could not read " + (file.name || "image")));
+    r.readAsDataURL(file);
+  });
+  await register(id, file.name || "image", buffer, url);
+  return id;
+}
+
+/** Register an image embedded in a preset / session under its stored id */
+export async function loadImageDataURL(id, url, name = "image") {
+  if (images.has(id)) return id;
+  const buffer = await (await fetch(url)).arrayBuffer();
+  await register(id, name, buffer, url);
+  return id;
+}
+
+/** { name, width, height } of a registered image, or null */
+export function imageInfo(id) {
+  const img = images.get(id);
+  return img ? { name: img.name, width: img.width, height: img.height } : null;
+}
+
+/** Ids of all images referenced by image params of the given filter instances / param sets */
+export function referencedImages(entries) {
+  const ids = new Set();
+  for (const { filterId, params } of entries) {
+    const f = registry.find(x => x.id === filterId);
+    if (!f || !params) continue;
+    for (const [key, def] of Object.entries(f.params)) {
+      if (def.type === "image" && params[key]) ids.add(params[key]);
+    }
+  }
+  return [...ids];
+}
+
+/** Drop every registered image whose id is not in keep — here and in the render workers */
+export function releaseImages(keep) {
+  const used = new Set(keep);
+  for (const id of [...images.keys()]) {
+    if (used.has(id)) continue;
+    images.delete(id);
+    setPoolImage(id, null);
+  }
+}
+
+/** { id: { name, url } } for the given ids (unknown ids are skipped) — embedded in presets / session */
+export function exportImages(ids) {
+  const out = {};
+  for (const id of ids) {
+    const img = images.get(id);
+    if (img) out[id] = { name: img.name, url: img.url };
+  }
+  return out;
+}
+
+async function register(id, name, buffer, url) {
+  const pixels = await decode(buffer);
+  images.set(id, { id, name, width: pixels.width, height: pixels.height, url });
+  setPoolImage(id, pixels);
+}
+
+// Float32 RGBA in 0..255 whatever the file's depth (EXR values are 0..1 → scaled)
+async function decode(buffer) {
+  if (new DataView(buffer).getUint32(0, true) === 20000630) {
+    const exr = await decodeEXR(buffer);
+    for (let i = 0; i < exr.data.length; i++) exr.data[i] *= 255;
+    return exr;
+  }
+  if (isPNG16(buffer)) {
+    const png = await decodePNG16(buffer);
+    if (png) return png;
+  }
+  // The values are data (offsets, coordinates), not colour: no colour management, no premultiplied alpha
+  const bitmap = await createImageBitmap(new Blob([buffer]), { colorSpaceConversion: "none", premultiplyAlpha: "none" });
+  const c = document.createElement("canvas");
+  c.width = bitmap.width; c.height = bitmap.height;
+  const ctx = c.getContext("2d", { colorSpace: "srgb", willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const id = ctx.getImageData(0, 0, c.width, c.height);
+  return { width: id.width, height: id.height, data: Float32Array.from(id.data) };
+}
+
+// FNV-1a over the bytes (+ length): stable, short ids
+function hash(bytes) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) h = Math.imul(h ^ bytes[i], 16777619);
+  return (h >>> 0).toString(16).padStart(8, "0") + bytes.length.toString(16);
+}
@@ -0,0 +1,429 @@
+// kernel.js
+// Per-pixel mapping loop, shared by the render workers and the main-thread fallback.
+// No DOM access here: everything comes in as plain data and goes out as a pixel buffer.
+
+import { registry } from "./filters.js";
+import { getSampler, sample, edgeResolve } from "./utils.js";
+import { ewaSample, buildMipPyramid } from "./mip.js";
+import { srgbToLinear, linearToSrgb } from "./color.js";
+
+// Pixels of "image" params (displacement maps, …) by id: { width, height, data: Float32Array 0..255 }.
+// Filled by worker.js (or pool.js on the main thread); filters get the resolved object in their params.
+const images = new Map();
+
+/** Register (or with null, drop) an image that "image" params can refer to */
+export function setKernelImage(id, pixels) {
+  if (pixels) images.set(id, pixels);
+  else images.delete(id);
+}
+
+/**
+ * Render one output tile.
+ * @param {{width:number,height:number,data:Uint8ClampedArray|Float32Array,derived?:object}} src
+ *        cached source pixels (1:1, 0..255) + what buildDerived() made of them (pool.js supplies it)
+ * @param {{layers:{filterId:string,params:object}[], scale:number, step?:number, float?:boolean,
+ *          sampler?:string, quality?:string, linear?:boolean, uv?:boolean,
+ *          centerRect?:{x:number,y:number,width:number,height:number}} spec
+ *        enabled filter stack (first → last), output scale (step > 1 = coarse preview), output type and render settings
+ * @param {{x:number,y:number,w:number,h:number}} rect                tile rect in output pixels
+ * @param {{width:number,height:number,data:Uint8ClampedArray}|null} mask  optional strength mask (0..255)
+ * @returns {Uint8ClampedArray|Float32Array} RGBA pixels of the tile (rect.w × rect.h): rounded 8-bit,
+ *          or unrounded 0..255 floats with spec.float (bake / 16-bit export), or an STMap with spec.uv
+ */
+export function renderTile(src, spec, rect, mask = null) {
+  const srcW = src.width, srcH = src.height;
+  const srcBuf = src.data;
+  const scale = spec.scale || 1;
+  const step  = Math.max(1, spec.step | 0 || 1);
+  // Uint8ClampedArray stores round to nearest; the float path keeps the fraction
+  const dstBuf = spec.float ? new Float32Array(rect.w * rect.h * 4) : new Uint8ClampedArray(rect.w * rect.h * 4);
+
+  const layers = prepareLayers(spec.layers, srcW, srcH, spec.centerRect);
+  if (spec.uv) return uvTile(layers, srcW, srcH, scale, rect, mask);
+  const rgba = [0, 0, 0, 0];
+  const quality = step === 1 ? (spec.quality || "off") : "off";   // anti-aliasing only at full quality
+
+  // Coarse mode (step > 1): one sample per step×step block, taken at the block's top-left pixel
+  // on the same map() path as full quality, then replicated over the block.
+  const fill = (bx, by) => {
+    const x1 = Math.min(rect.x + rect.w, bx + step), y1 = Math.min(rect.y + rect.h, by + step);
+    for (let y = by; y < y1; y++) {
+      let i = ((y - rect.y) * rect.w + (bx - rect.x)) * 4;
+      for (let x = bx; x < x1; x++, i += 4) {
+        dstBuf[i+0] = rgba[0]; dstBuf[i+1] = rgba[1]; dstBuf[i+2] = rgba[2]; dstBuf[i+3] = rgba[3];
+      }
+    }
+  };
+
+  // Blocks are aligned to the output grid (not the tile) so tile seams do not show while dragging
+  const bx0 = rect.x - (rect.x % step), by0 = rect.y - (rect.y % step);
+
+  // If no filter mapping function, do a straight resample (preview still works)
+  if (!layers.length) {
+    for (let y = by0; y < rect.y + rect.h; y += step) {
+      const ys = Math.max(y, rect.y) / scale;
+      for (let x = bx0; x < rect.x + rect.w; x += step) {
+        const xs = Math.max(x, rect.x) / scale;
+        const xi = Math.max(0, Math.min(srcW - 1, Math.floor(xs)));
+        const yi = Math.max(0, Math.min(srcH - 1, Math.floor(ys)));
+        const si = (yi * srcW + xi) * 4;
+        rgba[0] = srcBuf[si+0];
+        rgba[1] = srcBuf[si+1];
+        rgba[2] = srcBuf[si+2];
+        rgba[3] = srcBuf[si+3];
+        fill(Math.max(x, rect.x), Math.max(y, rect.y));
+      }
+    }
+    return dstBuf;
+  }
+
+  // Linear light: sample, supersample and blend on a linearized copy, re-encode each output pixel
+  const linear = !!spec.linear;
+  const S = linear ? src.derived?.linear?.[0] : src;
+  if (!S) throw new Error("linear-light source not ready");
+
+  // The final lookup into the source uses the first layer's edge mode (it is the one touching the source)
+  const ctx = {
+    layers, srcW, srcH,
+    edgeMode: layers[0].edgeMode,
+    sampler: getSampler(layers[0].edgeMode, srcW, srcH, S.data, spec.sampler),
+    mk: 1,   // strength-mask factor of the current output pixel
+    acc: [0, 0, 0, 0],   // scratch color for supersampling
+    ewa: null,           // EWA: { levels, fp } — footprint of the current output pixel in source pixels
+  };
+
+  const trace = (quality === "adaptive" || quality === "ewa") ? traceGrid(ctx, rect, scale, mask) : null;
+  const top = layers.length - 1;
+  if (quality === "ewa") {
+    const mips = src.derived?.[linear ? "linearMips" : "mips"];
+    ctx.ewa = { levels: [S, ...(mips || [])], fp: { ux: 0, vx: 0, uy: 0, vy: 0 } };
+  }
+
+  // Main mapping loop
+  for (let y = by0; y < rect.y + rect.h; y += step) {
+    const yS = Math.max(y, rect.y) / scale;
+    for (let x = bx0; x < rect.x + rect.w; x += step) {
+      const xS = Math.max(x, rect.x) / scale;
+      if (mask) ctx.mk = sampleMask(mask, xS, yS, srcW, srcH);
+      if (quality === "off") shade(ctx, top, xS, yS, rgba);
+      else if (quality === "4x") supersample(ctx, xS, yS, 2, 2, 1 / scale, rgba);
+      else if (quality === "ewa") {
+        const i = ((y - rect.y) * (rect.w + 1) + (x - rect.x)) * 2;
+        footprint(trace, i, i + 2, i + (rect.w + 1) * 2, 1 / scale, ctx.ewa.fp);
+        shade(ctx, top, xS, yS, rgba);
+      } else {
+        const i = ((y - rect.y) * (rect.w + 1) + (x - rect.x)) * 2;
+        supersample(ctx, xS, yS, taps(trace, i, i + 2), taps(trace, i, i + (rect.w + 1) * 2), 1 / scale, rgba);
+      }
+      if (linear) { rgba[0] = linearToSrgb(rgba[0]); rgba[1] = linearToSrgb(rgba[1]); rgba[2] = linearToSrgb(rgba[2]); }
+      fill(Math.max(x, rect.x), Math.max(y, rect.y));
+    }
+  }
+  return dstBuf;
+}
+
+// Most taps per axis the adaptive mode takes (8 × 8 = 64 per pixel at worst)
+const ADAPTIVE_MAX_TAPS = 8;
+
+/**
+ * Source positions of the output pixel corners (w+1 × h+1 grid, [u,v] pairs; NaN where the point
+ * falls outside a transparent edge). Differences between neighbours give the mapping's Jacobian.
+ */
+function traceGrid(ctx, rect, scale, mask) {
+  const gw = rect.w + 1, gh = rect.h + 1;
+  const grid = new Float64Array(gw * gh * 2);
+  for (let j = 0; j < gh; j++) {
+    const y = (rect.y + j) / scale;
+    for (let i = 0; i < gw; i++) {
+      const x = (rect.x + i) / scale;
+      if (mask) ctx.mk = sampleMask(mask, x, y, ctx.srcW, ctx.srcH);
+      const k = (j * gw + i) * 2;
+      if (!traceSource(ctx, x, y, grid, k)) { grid[k] = NaN; grid[k + 1] = NaN; }
+    }
+  }
+  ctx.mk = 1;
+  return grid;
+}
+
+/** Follow the distorted path of the stack to the source; writes [u,v] at out[k], false if it leaves the image */
+function traceSource(ctx, x, y, out, k) {
+  const { layers, srcW, srcH } = ctx;
+  for (let n = layers.length - 1; n >= 0; n--) {
+    const L = layers[n];
+    const m = mapLayer(L, x, y, srcW, srcH, ctx.mk);
+    if (n === 0) {
+      // Last hop stays unresolved so wrap / mirror seams do not read as a huge footprint
+      if (L.edgeMode === "transparent" && edgeResolve(m.u, m.v, srcW, srcH, "transparent").out) return false;
+      out[k] = m.u; out[k + 1] = m.v;
+      return true;
+    }
+    const r = edgeResolve(m.u, m.v, srcW, srcH, L.edgeMode);
+    if (r.out) return false;
+    x = r.ux; y = r.vy;
+  }
+  return false;
+}
+
+/**
+ * Taps along one axis of an output pixel: the length (in source pixels) of the step from grid
+ * point a to its neighbour b. Pixels straddling a transparent edge get 2 taps to smooth the cut.
+ */
+function taps(grid, a, b) {
+  const du = grid[b] - grid[a], dv = grid[b + 1] - grid[a + 1];
+  if (Number.isNaN(du) || Number.isNaN(dv)) return (Number.isNaN(grid[a]) && Number.isNaN(grid[b])) ? 1 : 2;
+  const len = Math.hypot(du, dv);
+  return Math.min(ADAPTIVE_MAX_TAPS, Math.max(1, Math.ceil(len - 0.01)));
+}
+
+/**
+ * Mapping derivatives at grid point a from its right (b) and lower (c) neighbours, for EWA.
+ * Where a neighbour left the image the pixel falls back to an undistorted footprint of size px.
+ */
+function footprint(grid, a, b, c, px, fp) {
+  fp.ux = grid[b] - grid[a]; fp.vx = grid[b + 1] - grid[a + 1];
+  fp.uy = grid[c] - grid[a]; fp.vy = grid[c + 1] - grid[a + 1];
+  if (Number.isNaN(fp.ux + fp.vx + fp.uy + fp.vy)) { fp.ux = px; fp.vx = 0; fp.uy = 0; fp.vy = px; }
+}
+
+/**
+ * Average of nx × ny shade() taps on a regular grid inside the output pixel (px = its size in
+ * pre-map coordinates). Colors are averaged premultiplied so transparent taps do not darken edges.
+ */
+function supersample(ctx, x, y, nx, ny, px, out) {
+  const top = ctx.layers.length - 1;
+  if (nx === 1 && ny === 1) { shade(ctx, top, x, y, out); return; }
+  const c = ctx.acc;
+  let r = 0, g = 0, b = 0, a = 0;
+  for (let j = 0; j < ny; j++) {
+    const oy = ((j + 0.5) / ny - 0.5) * px;
+    for (let i = 0; i < nx; i++) {
+      shade(ctx, top, x + ((i + 0.5) / nx - 0.5) * px, y + oy, c);
+      r += c[0] * c[3]; g += c[1] * c[3]; b += c[2] * c[3]; a += c[3];
+    }
+  }
+  if (a <= 0) { out[0] = 0; out[1] = 0; out[2] = 0; out[3] = 0; return; }
+  out[0] = r / a; out[1] = g / a; out[2] = b / a; out[3] = a / (nx * ny);
+}
+
+/**
+ * STMap tile (Float32 RGBA, 0..1): R,G = normalized source position (u+0.5)/W, (v+0.5)/H of each output
+ * pixel (pixel centres), B = 0, A = 0 where a layer samples outside the source (in any edge mode) or a
+ * filter masks it out, else 1. Follows the distorted path of the stack, like traceSource().
+ */
+function uvTile(layers, srcW, srcH, scale, rect, mask) {
+  const out = new Float32Array(rect.w * rect.h * 4);
+  for (let j = 0; j < rect.h; j++) {
+    const y0 = (rect.y + j) / scale;
+    for (let i = 0; i < rect.w; i++) {
+      let x = (rect.x + i) / scale, y = y0, a = 1;
+      const mk = mask ? sampleMask(mask, x, y, srcW, srcH) : 1;
+      for (let n = layers.length - 1; n >= 0 && a > 0; n--) {
+        const L = layers[n];
+        const m = mapLayer(L, x, y, srcW, srcH, mk);
+        if (m.aOverride !== undefined) a = Math.min(a, m.aOverride / 255);
+        // Tested before the edge mode resolves it: clamp / wrap / mirror pixels are not source pixels either,
+        // and the soft-edge zone of transparent mode counts as outside (the map has no partial coverage)
+        if (m.u < -0.5 || m.v < -0.5 || m.u > srcW - 0.5 || m.v > srcH - 0.5) a = 0;
+        const r = edgeResolve(m.u, m.v, srcW, srcH, L.edgeMode);
+        x = r.ux; y = r.vy;
+      }
+      const o = (j * rect.w + i) * 4;
+      out[o] = (x + 0.5) / srcW; out[o + 1] = (y + 0.5) / srcH; out[o + 3] = a;
+    }
+  }
+  return out;
+}
+
+/**
+ * Data derived from a source that some render settings need, built once per source version: pool.js
+ * asks one worker (or the main thread in fallback mode) and hands the result to the others.
+ * Always a list of { width, height, data } levels, so it travels the same way whatever it is.
+ *   "mips":       mip pyramid for EWA sampling
+ *   "linear":     linear-light copy of the source (Float32, 0..255), one level
+ *   "linearMips": mip pyramid of that copy (needs "linear" first)
+ */
+export function buildDerived(src, what) {
+  if (what === "mips") return buildMipPyramid(src.width, src.height, src.data);
+  if (what === "linear") {
+    const d = src.data, out = new Float32Array(d.length);
+    for (let i = 0; i < d.length; i += 4) {
+      out[i] = srgbToLinear(d[i]); out[i+1] = srgbToLinear(d[i+1]); out[i+2] = srgbToLinear(d[i+2]); out[i+3] = d[i+3];
+    }
+    return [{ width: src.width, height: src.height, data: out }];
+  }
+  if (what === "linearMips") {
+    const lin = src.derived?.linear?.[0];
+    if (!lin) throw new Error("linear-light source not built");
+    return buildMipPyramid(lin.width, lin.height, lin.data);
+  }
+  throw new Error("unknown derived data: " + what);
+}
+
+/** Which derived data a render spec needs before its tiles can run, in build order */
+export function needsDerived(spec) {
+  if (spec.uv || !(spec.layers || []).length) return [];
+  const ewa = Math.max(1, spec.step | 0 || 1) === 1 && spec.quality === "ewa";
+  if (spec.linear) return ewa ? ["linear", "linearMips"] : ["linear"];
+  return ewa ? ["mips"] : [];
+}
+
+/**
+ * Resolve the stack once per tile: filter lookup + derived geometry (center / radius in source pixels)
+ * + image params resolved to pixels.
+ * Unknown filters are skipped.
+ */
+// centerRect: { x, y, width, height } in source pixels that Center X/Y and Radius are relative to
+// (the Photopea document around the layer); defaults to the source itself
+function prepareLayers(specLayers, srcW, srcH, centerRect = null) {
+  const F = centerRect || { x: 0, y: 0, width: srcW, height: srcH };
+  const out = [];
+  for (const l of specLayers || []) {
+    const filt = registry.find(f => f.id === l.filterId);
+    if (!filt || typeof filt.map !== "function") continue;
+    const p = l.params || {};
+
+    // Geometry parameters in source pixel space
+    const center = {
+      cx: F.x + (p.centerX !== undefined ? (p.centerX / 100) * F.width : F.width * 0.5),
+      cy: F.y + (p.centerY !== undefined ? (p.centerY / 100) * F.height : F.height * 0.5),
+    };
+    const radiusPx = (p.radius !== undefined
+      ? (p.radius / 100) * Math.min(F.width, F.height) * 0.5
+      : Math.min(F.width, F.height));
+
+    const opacity   = Math.max(0, Math.min(1, (p.opacity ?? 100) / 100));
+    const blendMode = p.blendMode || "normal";
+    const strength  = Number.isFinite(Number(p.warpStrength)) ? Number(p.warpStrength) / 100 : 1;
+
+    // "image" params: id → pixels (null while the image has not arrived)
+    const mp = { ...p, ...center, radiusPx };
+    for (const [key, def] of Object.entries(filt.params)) {
+      if (def.type === "image") mp[key] = images.get(p[key]) || null;
+    }
+    out.push({
+      filt, mp, edgeMode: p.edgeMode || "clamp",
+      strength, opacity, blendMode,
+      blends: opacity < 1 || blendMode !== "normal",   // needs the undistorted branch too
+      base: [0, 0, 0, 0], top: [0, 0, 0, 0],          // scratch colors for blending
+    });
+  }
+  return out;
+}
+
+/**
+ * Color of the stack up to layer k at point (x,y) in source pixel space, written into out (RGBA 0..255).
+ *
+ * Inverse mapping runs from the LAST filter back to the first, so the image is resampled once;
+ * each layer's edge mode resolves its own intermediate coordinates.
+ * A layer with opacity < 100% or a non-normal blend mode mixes its distorted result with its
+ * own undistorted input, so both branches are evaluated below it (still one resample per branch).
+ */
+function shade(ctx, k, x, y, out) {
+  const { layers, srcW, srcH } = ctx;
+  let aOverride;
+
+  // Plain layers only move the sample point
+  while (k >= 0 && !layers[k].blends) {
+    const L = layers[k];
+    const m = mapLayer(L, x, y, srcW, srcH, ctx.mk);
+    if (m.aOverride !== undefined) aOverride = (aOverride === undefined) ? m.aOverride : Math.min(aOverride, m.aOverride);
+    const { ux, vy, out: isOut } = edgeResolve(m.u, m.v, srcW, srcH, L.edgeMode);
+    if (isOut) { out[0] = 0; out[1] = 0; out[2] = 0; out[3] = 0; return; }
+    x = ux; y = vy; k--;
+  }
+
+  if (k < 0) {
+    const { ux, vy, out: isOut } = edgeResolve(x, y, srcW, srcH, ctx.edgeMode);
+    if (isOut) { out[0] = 0; out[1] = 0; out[2] = 0; out[3] = 0; }
+    else {
+      if (ctx.ewa) ewaSample(ctx.ewa.levels, ctx.edgeMode, ux, vy, ctx.ewa.fp, out);
+      else {
+        const c = sample(ctx.sampler, ux, vy);
+        out[0] = c[0]; out[1] = c[1]; out[2] = c[2]; out[3] = c[3];
+      }
+    }
+  } else {
+    // Blending layer: base = its input at (x,y), top = its input at the mapped point
+    const L = layers[k];
+    shade(ctx, k - 1, x, y, L.base);
+    const m = mapLayer(L, x, y, srcW, srcH, ctx.mk);
+    const { ux, vy, out: isOut } = edgeResolve(m.u, m.v, srcW, srcH, L.edgeMode);
+    if (isOut) { L.top[0] = 0; L.top[1] = 0; L.top[2] = 0; L.top[3] = 0; }
+    else {
+      shade(ctx, k - 1, ux, vy, L.top);
+      if (m.aOverride !== undefined) L.top[3] = Math.min(L.top[3], m.aOverride);
+    }
+    blendLayer(L.base, L.top, L.blendMode, L.opacity, out);
+  }
+
+  if (aOverride !== undefined) out[3] = Math.min(out[3], aOverride);
+}
+
+/**
+ * One layer's inverse map with its strength (× strength-mask factor mk) applied: the source point
+ * is interpolated between identity (0%) and the filter's result (100%), extrapolated beyond 100%.
+ * Below 100%, the pole / outside-domain marker (aOverride 0, far-away coordinates) fades in with
+ * strength instead of moving the sample towards the marker coordinate; a partial alpha override
+ * (e.g. an anti-aliased STMap edge) comes with real coordinates, which are interpolated as usual.
+ */
+function mapLayer(L, x, y, srcW, srcH, mk) {
+  const s = L.strength * mk;
+  if (s === 1) return L.filt.map(x, y, srcW, srcH, L.mp);
+  if (s === 0) return { u: x, v: y };
+  const m = L.filt.map(x, y, srcW, srcH, L.mp);
+  if (m.aOverride === 0 && s < 1) return { u: x, v: y, aOverride: 255 - s * 255 };
+  const aOverride = (m.aOverride !== undefined && s < 1) ? 255 - s * (255 - m.aOverride) : m.aOverride;
+  return { u: x + s * (m.u - x), v: y + s * (m.v - y), aOverride };
+}
+
+/** Bilinear lookup of the strength mask (0..1) at a source-space point; mask may have any size */
+function sampleMask(mask, x, y, srcW, srcH) {
+  const W = mask.width, H = mask.height, d = mask.data;
+  const fx = Math.max(0, Math.min(W - 1, x * W / srcW)), fy = Math.max(0, Math.min(H - 1, y * H / srcH));
+  const x0 = Math.floor(fx), y0 = Math.floor(fy);
+  const x1 = Math.min(x0 + 1, W - 1), y1 = Math.min(y0 + 1, H - 1);
+  const tx = fx - x0, ty = fy - y0;
+  const a = d[y0 * W + x0] + (d[y0 * W + x1] - d[y0 * W + x0]) * tx;
+  const b = d[y1 * W + x0] + (d[y1 * W + x1] - d[y1 * W + x0]) * tx;
+  return (a + (b - a) * ty) / 255;
+}
+
+/**
+ * Mix top (distorted) over base (undistorted) with a blend mode, then cross-fade base → result by opacity.
+ * Compositing follows the W3C separable blend modes on straight RGBA in 0..255.
+ */
+function blendLayer(base, top, mode, opacity, out) {
+  const ab = base[3] / 255, as = top[3] / 255;
+  // premultiplied result of "top blended over base"
+  let r, g, b, a;
+  if (mode === "normal") {
+    r = top[0] * as; g = top[1] * as; b = top[2] * as; a = as;
+  } else {
+    a = as + ab * (1 - as);
+    const mix = (cb, cs) => {
+      const B = blendChannel(mode, cb / 255, cs / 255) * 255;
+      return as * ab * B + as * (1 - ab) * cs + (1 - as) * ab * cb;
+    };
+    r = mix(base[0], top[0]); g = mix(base[1], top[1]); b = mix(base[2], top[2]);
+  }
+  // cross-fade in premultiplied space
+  const t = opacity;
+  const pr = base[0] * ab * (1 - t) + r * t;
+  const pg = base[1] * ab * (1 - t) + g * t;
+  const pb = base[2] * ab * (1 - t) + b * t;
+  const pa = ab * (1 - t) + a * t;
+  if (pa <= 0) { out[0] = 0; out[1] = 0; out[2] = 0; out[3] = 0; return; }
+  out[0] = pr / pa; out[1] = pg / pa; out[2] = pb / pa; out[3] = pa * 255;
+}
+
+function blendChannel(mode, cb, cs) {
+  switch (mode) {
+    case "multiply":   return cb * cs;
+    case "screen":     return cb + cs - cb * cs;
+    case "overlay":    return cb <= 0.5 ? 2 * cb * cs : 1 - 2 * (1 - cb) * (1 - cs);
+    case "difference": return Math.abs(cb - cs);
+    case "lighten":    return Math.max(cb, cs);
+    case "darken":     return Math.min(cb, cs);
+    default:           return cs;
+  }
+}
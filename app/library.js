@@ -0,0 +1,185 @@
+// library.js
+// Persistent preset library + last session, stored in IndexedDB.
+//
+// Stores:
+//   presets : { id, name, filterIds, preset, thumb, created, updated }  (preset = presets.js format)
+//   session : { key:"current", stack, activeLayer, params, settings, imageIds }  (restored on reload)
+//             { key:"image:<id>", name, url }  the files behind image params, one record each, so an edit
+//             does not rewrite them (sessions from before these records embed `images` in "current")
+
+import { makePreset, parsePreset } from "./presets.js";
+
+const DB_NAME = "distort-lab";
+const IMAGE_KEY = "image:";
+const DB_VERSION = 2;
+export const LIBRARY_FORMAT = "distort-lab-library";
+export const LIBRARY_VERSION = 1;
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!("indexedDB" in self)) { reject(new Error("IndexedDB is not available")); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (ev) => {
+      const db = req.result;
+      const store = db.objectStoreNames.contains("presets")
+        ? req.transaction.objectStore("presets")
+        : db.createObjectStore("presets", { keyPath: "id" });
+      if (!db.objectStoreNames.contains("session")) db.createObjectStore("session", { keyPath: "key" });
+
+      // v2: presets hold a whole stack → index every filter used in it
+      if (!store.indexNames.contains("filterIds")) {
+        store.createIndex("filterIds", "filterIds", { multiEntry: true });
+        if (ev.oldVersion >= 1) {
+          store.openCursor().onsuccess = (e) => {
+            const cur = e.target.result;
+            if (!cur) return;
+            const entry = cur.value;
+            entry.filterIds = [entry.filterId];
+            cur.update(entry);
+            cur.continue();
+          };
+        }
+      }
+      if (store.indexNames.contains("filterId")) store.deleteIndex("filterId");
+    };
+    // Another tab still holds the old version open: fail instead of waiting until it closes
+    req.onblocked = () => reject(new Error("Preset library is being upgraded; close other Distort Lab tabs and reload"));
+    req.onsuccess = () => {
+      const db = req.result;
+      // Let a newer version in another tab upgrade the database; the next call reopens it
+      db.onversionchange = () => { db.close(); dbPromise = null; };
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+// Run one request inside a transaction and resolve with its result
+async function tx(storeName, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(storeName, mode);
+    const req = fn(t.objectStore(storeName));
+    t.oncomplete = () => resolve(req ? req.result : undefined);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error || new Error("Transaction aborted"));
+  });
+}
+
+function newId() {
+  return (self.crypto && crypto.randomUUID) ? crypto.randomUUID()
+    : "p-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2);
+}
+
+/** All library entries (optionally only those using one filter), newest first */
+export async function listPresets(filterId = null) {
+  const all = await tx("presets", "readonly", s => filterId ? s.index("filterIds").getAll(filterId) : s.getAll());
+  return (all || []).sort((a, b) => b.updated - a.updated);
+}
+
+/** Add a preset (presets.js format) with its thumbnail data URL */
+export async function addPreset(preset, thumb = "") {
+  const now = Date.now();
+  const filterIds = [...new Set((preset.stack || []).map(l => l.filterId))];
+  const entry = { id: newId(), name: preset.name, filterIds, preset, thumb, created: now, updated: now };
+  await tx("presets", "readwrite", s => s.put(entry));
+  return entry;
+}
+
+export async function renamePreset(id, name) {
+  const entry = await tx("presets", "readonly", s => s.get(id));
+  if (!entry) throw new Error("Preset not found");
+  entry.name = entry.preset.name = String(name).trim() || entry.name;
+  entry.updated = Date.now();
+  await tx("presets", "readwrite", s => s.put(entry));
+  return entry;
+}
+
+export async function deletePreset(id) {
+  await tx("presets", "readwrite", s => s.delete(id));
+}
+
+/** Whole library as one JSON-serializable bundle */
+export async function exportLibrary() {
+  const entries = await listPresets();
+  return {
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    exported: new Date().toISOString(),
+    presets: entries.map(e => ({ preset: e.preset, thumb: e.thumb })),
+  };
+}
+
+/**
+ * Import a bundle produced by exportLibrary(). Every preset is validated like a single
+ * preset file; broken entries are skipped and reported, warnings are passed through.
+ * @returns {{ added:number, warnings:string[] }}
+ */
+export async function importLibrary(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try { data = JSON.parse(input); }
+    catch (e) { throw new Error("Library file is not valid JSON."); }
+  }
+  if (!data || data.format !== LIBRARY_FORMAT || !Array.isArray(data.presets)) {
+    throw new Error("Not a Distort Lab library bundle.");
+  }
+  if (Number(data.version) > LIBRARY_VERSION) {
+    throw new Error(`Library version ${data.version} is newer than supported (${LIBRARY_VERSION}).`);
+  }
+
+  const warnings = [];
+  let added = 0;
+  for (const [i, item] of data.presets.entries()) {
+    const label = item?.preset?.name || `#${i + 1}`;
+    try {
+      const parsed = parsePreset(item?.preset);
+      for (const w of parsed.warnings) warnings.push(`${label}: ${w}`);
+      const preset = makePreset(parsed.name, parsed.stack, { mask: parsed.mask, settings: parsed.settings, images: parsed.images });
+      const thumb = (typeof item.thumb === "string" && item.thumb.startsWith("data:image/")) ? item.thumb : "";
+      await addPreset(preset, thumb);
+      added++;
+    } catch (e) {
+      warnings.push(`${label}: skipped — ${e.message}`);
+    }
+  }
+  return { added, warnings };
+}
+
+/** Last working state (stack + per-filter params + render settings + ids of param images), so a reload does not lose it */
+export async function saveSession(stack, activeLayer, params, settings, imageIds) {
+  await tx("session", "readwrite", s => s.put({ key: "current", stack, activeLayer, params, settings, imageIds, saved: Date.now() }));
+}
+
+/** Make the session's stored images exactly `images` ({ id: { name, url } }); ids already stored are not rewritten */
+export async function saveSessionImages(images) {
+  await tx("session", "readwrite", s => {
+    const req = s.getAllKeys();
+    req.onsuccess = () => {
+      const stored = new Set(req.result.filter(k => String(k).startsWith(IMAGE_KEY)));
+      for (const [id, img] of Object.entries(images)) {
+        // Ids come from the file contents: a stored id is the same file
+        if (!stored.delete(IMAGE_KEY + id)) s.put({ key: IMAGE_KEY + id, name: img.name, url: img.url });
+      }
+      for (const key of stored) s.delete(key);
+    };
+    return null;
+  });
+}
+
+/** The saved session with its images as { id: { name, url } }, or undefined */
+export async function loadSession() {
+  const saved = await tx("session", "readonly", s => s.get("current"));
+  if (!saved || !Array.isArray(saved.imageIds)) return saved;
+  const images = {};
+  for (const id of saved.imageIds) {
+    const img = await tx("session", "readonly", s => s.get(IMAGE_KEY + id));
+    if (img) images[id] = { name: img.name, url: img.url };
+  }
+  return { ...saved, images };
+}
@@ -1,15 +1,41 @@
-import { initState, setFilterId, setParam, state } from "./state.js";
-import { initCanvas, drawSource, fitToView, exportPNG, commitToSource } from "./canvas.js";
-import { render } from "./engine.js";
-import { registry, defaultParamsFor } from "./filters.js";
-import { buildParamsPanel } from "./ui.js";
+import { initState, setFilterId, setParam, state, makeLayer, setStack, activeLayer,
+         selectLayer, addLayer, removeLayer, moveLayer, setLayerEnabled, setSetting } from "./state.js";
+import { initCanvas, drawSource, fitToView, exportPNG, exportUVMap, commitToSource, getSourcePixels,
+         setSourcePixels } from "./canvas.js";
+import { loadImage } from "./utils.js";
+import { loadConfig } from "./config.js";
+import { createTransfer } from "./transfer.js";
+import { render, renderOutputCanvas, centerRect } from "./engine.js";
+import { initPool } from "./pool.js";
+import { registry, defaultParamsFor, paramSchema } from "./filters.js";
+import { buildParamsPanel, buildSettingsPanel, buildLibraryList, buildStackList } from "./ui.js";
+import { makePreset, parsePreset, presetFileName, validateParams, validateSettings } from "./presets.js";
+import { settingsSchema, defaultSettings } from "./settings.js";
+import { listPresets, addPreset, renamePreset, deletePreset, exportLibrary, importLibrary,
+         saveSession, saveSessionImages, loadSession } from "./library.js";
+import { renderThumbnail } from "./thumbnail.js";
+import { decodePNG16 } from "./png16.js";
+import { loadImageDataURL, referencedImages, exportImages, imageInfo, releaseImages } from "./images.js";
+import { initOverlay, setActiveTool, addOverlayLayer, redrawOverlay } from "./overlay.js";
+import { createMeshTool, createPinTool } from "./warptools.js";
+import { ensureMask, resetMask, setMaskEnabled, setMaskTintVisible, fillMask, invertMask, radialMask,
+         linearMask, maskFromImage, maskToDataURL, maskFromDataURL, createMaskBrush, drawMaskTint } from "./mask.js";
+import { resetHistory, recordHistory, sealHistory, captureSourceForHistory,
+         undo, redo, jumpTo, canUndo, canRedo, getHistory, onHistoryChange, historyParamSets } from "./history.js";
 
 // ---------- DOM ----------
 const loadBtn       = document.getElementById("loadBtn");
 const filterSelect  = document.getElementById("filterSelect");
 const paramsPanel   = document.getElementById("paramsPanel");
+const settingsPanel = document.getElementById("settingsPanel");
+const stackListEl   = document.getElementById("stackList");
+const addLayerBtn   = document.getElementById("addLayerBtn");
 const fitBtn        = document.getElementById("fitBtn");
 const exportBtn     = document.getElementById("exportBtn");
+const export16El    = document.getElementById("export16");
+const exportUVBtn   = document.getElementById("exportUVBtn");
+const uvFormatEl    = document.getElementById("uvFormat");
+const uvFlipVEl     = document.getElementById("uvFlipV");
 const stageEl       = document.getElementById("stage");
 const placeholderEl = document.getElementById("stagePlaceholder");
 const canvasEl      = document.getElementById("view");
@@ -29,9 +55,37 @@ const presetNameEl   = document.getElementById("presetName");
 const savePresetBtn  = document.getElementById("savePresetBtn");
 const loadPresetBtn  = document.getElementById("loadPresetBtn");
 const loadPresetFile = document.getElementById("loadPresetFile");
+const presetStatusEl = document.getElementById("presetStatus");
+
+// Preset library
+const saveToLibraryBtn  = document.getElementById("saveToLibraryBtn");
+const libraryAllEl      = document.getElementById("libraryAllFilters");
+const libraryListEl     = document.getElementById("libraryList");
+const exportLibraryBtn  = document.getElementById("exportLibraryBtn");
+const importLibraryBtn  = document.getElementById("importLibraryBtn");
+const importLibraryFile = document.getElementById("importLibraryFile");
+const libraryStatusEl   = document.getElementById("libraryStatus");
+
+// Strength mask
+const maskEnabledEl     = document.getElementById("maskEnabled");
+const maskShowEl        = document.getElementById("maskShow");
+const maskPaintBtn      = document.getElementById("maskPaintBtn");
+const maskBrushSizeEl   = document.getElementById("maskBrushSize");
+const maskBrushHardEl   = document.getElementById("maskBrushHardness");
+const maskBrushModeEl   = document.getElementById("maskBrushMode");
+const maskGradAngleEl   = document.getElementById("maskGradAngle");
+const maskFileEl        = document.getElementById("maskFile");
+
+// History
+const undoBtn       = document.getElementById("undoBtn");
+const redoBtn       = document.getElementById("redoBtn");
+const historyListEl = document.getElementById("historyList");
 
 // Photopea export button
 const exportToPPBtn  = document.getElementById("exportToPPBtn");
+const ppPlacementEl  = document.getElementById("ppPlacement");
+const headerSubEl    = document.querySelector("header .sub");
+const ppTransferEl   = document.getElementById("ppTransfer");
 
 // ---------- Logging ----------
 const LL = (...a)=>console.log("%c[DL-LAB]", "color:#58a6ff", ...a);
@@ -41,10 +95,51 @@ const LP = (...a)=>console.log("%c[DL-PLUGIN]", "color:#9aa0a6", ...a);
 let lastSeqApplied = -1; // last confirmed seq that was actually rendered
 let currentLoadId  = 0;  // monotonic load generation id
 
+// ---------- On-canvas param editing (mesh points, pins) ----------
+// Declared before boot: rebuildParamsPanel() hands the hooks to the params panel
+let canvasEdit = null; // { uid, key } of the param being dragged on the canvas
+
+// Param type → overlay tool
+const canvasTools = { mesh: createMeshTool, pins: createPinTool };
+
+const canvasEditHooks = {
+  get active(){ return canvasEdit && canvasEdit.uid === activeLayer()?.uid ? canvasEdit.key : null; },
+  toggle(key){
+    if (this.active === key) { stopCanvasEdit(); rebuildParamsPanel(); return; }
+    if (!state.srcCanvas?.width) { alert("Load an image first."); return; }
+    setMaskPainting(false);
+    const type = paramSchema(state.currentFilter)[key]?.type;
+    if (!canvasTools[type]) return;
+    canvasEdit = { uid: activeLayer().uid, key };
+    setActiveTool(canvasTools[type]({
+      get: () => activeLayer()?.params[key],
+      set: (v) => onParamChange(key, v),
+      size: () => ({ W: state.srcCanvas.width, H: state.srcCanvas.height }),
+      interp: () => activeLayer()?.params.interp,
+      onEdit: (phase) => {
+        if (phase === "hover") { redrawOverlay(); return; }
+        if (phase === "start") sealHistory(); // one drag = one undo step
+        state.interactive = phase !== "end";
+        if (phase === "end") { sealHistory(); rebuildParamsPanel(); }
+        requestRender();
+      },
+    }));
+    rebuildParamsPanel();
+  },
+};
+
 // ---------- Boot ----------
+const SESSION_WAIT_MS = 2000;
+let sessionWaitOver = false;
+let bootDone;
+const booted = new Promise(r => { bootDone = r; });
+
 // IMPORTANT: initCanvas FIRST so that getCanvasRefs() (used in initState) returns valid srcCanvas/srcCtx
 await initCanvas();
 await initState();
+initPool(); // start render workers early so the first image does not wait for them
+initOverlay();
+addOverlayLayer(drawMaskTint);
 
 // Sanity log (one-time): ensure we have offscreen buffers published
 console.log("[DL-LAB] boot refs", {
@@ -63,17 +158,111 @@ for (const f of registry) {
   opt.textContent = f.name;
   filterSelect.appendChild(opt);
 }
-state.currentFilter = registry[0];
-setFilterId(state.currentFilter.id);
+setStack([makeLayer(registry[0].id)]);
+
+// Photopea handshake before the session restore: the plugin stops waiting for LAB_READY after a few
+// seconds. Messages that touch the Lab wait in receivePluginMessage() until the boot is done.
+const sessionId = new URLSearchParams(location.search).get("sessionId") || "";
+// The plugin page's origin: the only one we post to or accept messages from (app/config.js)
+const { pluginOrigin } = await loadConfig();
+
+function announceReady(){
+  try{
+    if (window.opener && !window.opener.closed) {
+      window.opener.postMessage({ type:"LAB_READY", sessionId }, pluginOrigin);
+      LL("→ LAB_READY");
+    }
+  }catch(e){ console.warn(e); }
+}
+// Loading the config may take us past DOMContentLoaded
+if (document.readyState === "loading") window.addEventListener("DOMContentLoaded", announceReady);
+else announceReady();
+
+// LAB_IMAGE / LAB_EXPORT travel in acknowledged chunks (app/transfer.js)
+const transfer = createTransfer({
+  post: (msg, transferables)=>{
+    if (window.opener && !window.opener.closed) window.opener.postMessage({ ...msg, sessionId }, pluginOrigin, transferables);
+  },
+  onMessage: receivePluginMessage,
+  onProgress: showTransferProgress,
+  log: (...a)=>LL("xfer", ...a),
+});
+
+// Receive images from plugin
+window.addEventListener("message", (ev)=>{
+  const origin = ev.origin;
+  if (origin !== pluginOrigin) return;
+  const msg = ev.data || {};
+  if (msg.sessionId && sessionId && msg.sessionId !== sessionId) return;
+  if (transfer.handle(msg)) return;
+  receivePluginMessage(msg);
+});
+
+// Restore last session (stack + params) if there is one. A slow or blocked IndexedDB must not
+// hold up the boot: past SESSION_WAIT_MS the Lab starts fresh and ignores the session when it arrives.
+await Promise.race([restoreSession(), new Promise(r => setTimeout(r, SESSION_WAIT_MS))]);
+sessionWaitOver = true;
 filterSelect.value = state.filterId;
 
-// Build UI for current filter
-buildParamsPanel(
-  paramsPanel,
-  state.currentFilter,
-  state.params[state.filterId],
-  (key, val) => { setParam(state.filterId, key, val); requestRender(); }
-);
+// Build UI for the active layer
+rebuildParamsPanel();
+refreshLibrary();
+onHistoryChange(renderHistoryPanel);
+onHistoryChange(releaseUnusedImages);
+resetHistory("Start");
+
+// ---------- Interactive (coarse) preview while dragging sliders ----------
+paramsPanel.addEventListener("pointerdown", (ev) => {
+  if (ev.target instanceof HTMLInputElement && ev.target.type === "range") state.interactive = true;
+});
+window.addEventListener("pointerup", endInteractive);
+window.addEventListener("pointercancel", endInteractive);
+function endInteractive(){
+  if (!state.interactive) return;
+  state.interactive = false;
+  sealHistory(); // one drag = one undo step
+  requestRender(); // refine to full quality
+}
+
+// Typed values / keyboard steps are committed on "change"
+paramsPanel.addEventListener("change", () => sealHistory());
+
+// ---------- Undo / redo ----------
+undoBtn?.addEventListener("click", () => { if (undo()) afterHistoryJump(); });
+redoBtn?.addEventListener("click", () => { if (redo()) afterHistoryJump(); });
+
+window.addEventListener("keydown", (ev) => {
+  if (!(ev.ctrlKey || ev.metaKey) || ev.altKey) return;
+  // Leave native text undo alone while typing in a text field
+  const t = ev.target;
+  if (t instanceof HTMLInputElement && t.type === "text" || t instanceof HTMLTextAreaElement) return;
+  const k = ev.key.toLowerCase();
+  if (k === "z" && !ev.shiftKey) { ev.preventDefault(); if (undo()) afterHistoryJump(); }
+  else if ((k === "z" && ev.shiftKey) || k === "y") { ev.preventDefault(); if (redo()) afterHistoryJump(); }
+});
+
+function afterHistoryJump(){
+  rebuildParamsPanel();
+  sessionChanged();
+  refreshLibrary();
+  requestRender();
+}
+
+function renderHistoryPanel(){
+  if (undoBtn) undoBtn.disabled = !canUndo();
+  if (redoBtn) redoBtn.disabled = !canRedo();
+  if (!historyListEl) return;
+  const { entries, index } = getHistory();
+  historyListEl.innerHTML = "";
+  entries.forEach((e, i) => {
+    const row = document.createElement("div");
+    row.className = "hist-item" + (i === index ? " current" : "") + (i > index ? " undone" : "");
+    row.textContent = e.label;
+    row.addEventListener("click", () => { if (jumpTo(i)) afterHistoryJump(); });
+    historyListEl.appendChild(row);
+  });
+  historyListEl.lastChild?.scrollIntoView({ block: "nearest" });
+}
 
 // ---------- Loaders ----------
 let imageChooser = document.createElement("input");
@@ -106,20 +295,57 @@ window.addEventListener("paste", async (ev) => {
 // ---------- Filter change ----------
 filterSelect.addEventListener("change", () => {
   const id = filterSelect.value;
-  state.currentFilter = registry.find(f => f.id === id);
-  setFilterId(id);
-  buildParamsPanel(
-    paramsPanel,
-    state.currentFilter,
-    state.params[state.filterId],
-    (key, val) => { setParam(state.filterId, key, val); requestRender(); }
-  );
+  setFilterId(id); // switches the active layer's filter
+  recordHistory("Filter: " + state.currentFilter.name);
+  rebuildParamsPanel();
+  sessionChanged();
+  refreshLibrary();
   requestRender();
 });
 
+// ---------- Filter stack ----------
+addLayerBtn?.addEventListener("click", () => {
+  addLayer(state.filterId || registry[0].id);
+  stackChanged("Add layer: " + state.currentFilter.name);
+});
+
+function stackChanged(label){
+  if (label) recordHistory(label);
+  rebuildParamsPanel();
+  sessionChanged();
+  refreshLibrary();
+  requestRender();
+}
+
+function rebuildStackPanel(){
+  if (!stackListEl) return;
+  buildStackList(stackListEl, state.stack.map(l => ({
+    ...l, name: registry.find(f => f.id === l.filterId)?.name || l.filterId
+  })), state.activeLayer, {
+    onSelect: (i) => { selectLayer(i); stackChanged(); },
+    onToggle: (i, on) => {
+      setLayerEnabled(i, on);
+      stackChanged((on ? "Enable: " : "Disable: ") + (registry.find(f => f.id === state.stack[i].filterId)?.name || ""));
+    },
+    onMove:   (i, dir) => { moveLayer(i, dir); stackChanged("Reorder layers"); },
+    onRemove: (i) => { removeLayer(i); stackChanged("Remove layer"); },
+  });
+}
+
 // ---------- View actions ----------
 fitBtn?.addEventListener("click", () => { fitToView(); requestRender(); });
-exportBtn?.addEventListener("click", () => exportPNG());
+exportBtn?.addEventListener("click", () => {
+  exportPNG("distort.png", { depth16: !!export16El?.checked }).catch(e => {
+    console.error(e);
+    alert("Failed to export PNG.");
+  });
+});
+exportUVBtn?.addEventListener("click", () => {
+  exportUVMap(uvFormatEl?.value, { flipV: !!uvFlipVEl?.checked }).catch(e => {
+    console.error(e);
+    alert("Failed to export the UV map.");
+  });
+});
 zoom100Btn?.addEventListener("click", () => setScale(1));
 zoomInBtn?.addEventListener("click", () => setScale(state.viewScale * 1.1));
 zoomOutBtn?.addEventListener("click", () => setScale(state.viewScale / 1.1));
@@ -135,16 +361,16 @@ copyClipboard100Btn?.addEventListener("click", async ()=>{
   const prevText = btn.textContent;
   btn.disabled = true;
   btn.textContent = "Copying…";
+  let blob = null;
   try {
-    state.viewScale = 1;
-    await nextPaint();
-    const blob = await canvasToBlob(canvasEl, "image/png");
+    // Full-resolution output, rendered offscreen — the zoomed view is left untouched
+    blob = await canvasToBlob(await renderOutputCanvas(), "image/png");
     await writeImageToClipboard(blob);
     btn.textContent = "Copied!";
   } catch (err) {
     console.error(err);
     try {
-      const blob = await canvasToBlob(canvasEl, "image/png");
+      if (!blob) blob = await canvasToBlob(await renderOutputCanvas(), "image/png");
       const url = URL.createObjectURL(blob);
       const a = Object.assign(document.createElement("a"), { href: url, download: "canvas-100.png" });
       document.body.appendChild(a); a.click(); a.remove();
@@ -163,10 +389,19 @@ copyClipboard100Btn?.addEventListener("click", async ()=>{
 commitBtn?.addEventListener("click", async () => {
   if (!canvasEl || canvasEl.style.display === "none") return;
   commitBtn.disabled = true;
+  const uncapture = captureSourceForHistory(); // keep the pre-bake pixels for undo
   try {
-    await commitToSource();
+    if (await commitToSource()) {
+      recordHistory("Bake", { source: getSourcePixels() });
+    } else {
+      uncapture();
+    }
     fitToView();
     requestRender();
+  } catch (e) {
+    uncapture();
+    console.error(e);
+    alert("Failed to bake the result.");
   } finally {
     commitBtn.disabled = false;
   }
@@ -175,16 +410,394 @@ commitBtn?.addEventListener("click", async () => {
 // ---------- Defaults ----------
 defaultsBtn?.addEventListener("click", () => {
   const f = state.currentFilter; if (!f) return;
-  state.params[state.filterId] = defaultParamsFor(f);
-  buildParamsPanel(
-    paramsPanel, f, state.params[state.filterId],
-    (k,v)=>{ setParam(state.filterId,k,v); requestRender(); }
-  );
+  activeLayer().params = defaultParamsFor(f);
+  state.params[f.id] = defaultParamsFor(f);
+  recordHistory("Defaults: " + f.name);
+  rebuildParamsPanel();
+  sessionChanged();
   requestRender();
 });
 
+// ---------- Presets (JSON files) ----------
+savePresetBtn?.addEventListener("click", () => {
+  if (!state.stack.length) return;
+  const preset = currentPreset();
+  const blob = new Blob([JSON.stringify(preset, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = Object.assign(document.createElement("a"), { href: url, download: presetFileName(preset) });
+  document.body.appendChild(a); a.click(); a.remove();
+  URL.revokeObjectURL(url);
+  showPresetStatus(`Saved "${preset.name}".`);
+});
+
+loadPresetBtn?.addEventListener("click", () => loadPresetFile?.click());
+loadPresetFile?.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = "";
+  if (!file) return;
+  try {
+    const preset = parsePreset(await file.text());
+    applyPreset(preset);
+    if (preset.warnings.length) {
+      showPresetStatus(`Loaded "${preset.name || file.name}" with warnings:\n` + preset.warnings.join("\n"), "warn");
+    } else {
+      showPresetStatus(`Loaded "${preset.name || file.name}".`);
+    }
+  } catch (err) {
+    console.error(err);
+    showPresetStatus(`Could not load ${file.name}: ${err.message}`, "error");
+  }
+});
+
+function applyPreset(preset){
+  setStack(preset.stack.map(l => makeLayer(l.filterId, l.params, l.enabled)));
+  for (const l of preset.stack) state.params[l.filterId] = structuredClone(l.params);
+  // Presets written before render settings existed were made with the defaults
+  state.settings = { ...(preset.settings || defaultSettings()) };
+  if (presetNameEl && preset.name) presetNameEl.value = preset.name;
+  recordHistory("Preset: " + (preset.name || preset.stack[0].filterId));
+  rebuildParamsPanel();
+  sessionChanged();
+  refreshLibrary();
+  applyPresetMask(preset.mask);
+  applyPresetImages(preset.images);
+  requestRender();
+}
+
+// Stack + mask + render settings + the files behind image params, as a preset object
+function currentPreset(){
+  return makePreset(presetNameEl?.value, state.stack, {
+    mask: currentMaskForPreset(),
+    settings: state.settings,
+    images: exportImages(referencedImages(state.stack)),
+  });
+}
+
+// Register the preset's embedded images; image params render as "no image" until they arrive
+async function applyPresetImages(images){
+  const failed = [];
+  for (const [id, img] of Object.entries(images || {})) {
+    try { await loadImageDataURL(id, img.url, img.name); }
+    catch (e) { console.error(e); failed.push(img.name); }
+  }
+  const missing = referencedImages(state.stack).filter(id => !imageInfo(id));
+  if (failed.length || missing.length) {
+    showPresetStatus(`Preset image(s) missing or unreadable${failed.length ? ": " + failed.join(", ") : ""} — load them again in the filter's params.`, "warn");
+  }
+  rebuildParamsPanel();
+  requestRender();
+}
+
+// A preset without a mask turns the mask off, so it looks as it did when saved
+async function applyPresetMask(mask){
+  if (!mask) { if (state.mask) setMaskEnabled(false); syncMaskUI(); return; }
+  if (!ensureMask()) return; // no image yet — nothing to size the mask to
+  try {
+    await maskFromDataURL(mask.png);
+    setMaskEnabled(mask.enabled);
+  } catch (e) {
+    console.error(e);
+    showPresetStatus("Preset mask could not be decoded — mask left unchanged.", "warn");
+  }
+  syncMaskUI();
+  requestRender();
+}
+
+function currentMaskForPreset(){
+  const m = state.mask;
+  return (m && m.enabled) ? { enabled: true, png: maskToDataURL() } : null;
+}
+
+// ---------- Strength mask ----------
+const maskBrush = createMaskBrush(
+  () => ({
+    size: Number(maskBrushSizeEl?.value) || 80,
+    hardness: Number(maskBrushHardEl?.value) || 0,
+    mode: maskBrushModeEl?.value || "add",
+  }),
+  (phase) => {
+    if (phase === "hover") { redrawOverlay(); return; }
+    if (phase === "start" && state.mask && !state.mask.enabled) { setMaskEnabled(true); syncMaskUI(); }
+    state.interactive = phase !== "end"; // coarse preview while painting
+    requestRender();
+  }
+);
+
+maskEnabledEl?.addEventListener("change", () => {
+  if (!ensureMask()) { maskEnabledEl.checked = false; alert("Load an image first."); return; }
+  setMaskEnabled(maskEnabledEl.checked);
+  requestRender();
+});
+maskShowEl?.addEventListener("change", () => { setMaskTintVisible(maskShowEl.checked); redrawOverlay(); });
+maskPaintBtn?.addEventListener("click", () => {
+  if (!ensureMask()) { alert("Load an image first."); return; }
+  const on = !maskPaintBtn.classList.contains("on");
+  if (on) stopCanvasEdit();
+  setMaskPainting(on);
+});
+
+function setMaskPainting(on){
+  if (!maskPaintBtn) return;
+  maskPaintBtn.classList.toggle("on", on);
+  maskPaintBtn.textContent = on ? "Stop painting" : "Paint on canvas";
+  setActiveTool(on ? maskBrush : null);
+}
+
+document.getElementById("maskRadialBtn")?.addEventListener("click", () => maskEdit(() => {
+  const p = activeLayer()?.params || {};
+  // Center X/Y may refer to the Photopea document; the mask is in source pixels
+  const r = centerRect(), W = state.srcCanvas.width, H = state.srcCanvas.height;
+  const cx = p.centerX ?? 50, cy = p.centerY ?? 50;
+  radialMask(r ? (r.x + cx / 100 * r.width) / W * 100 : cx, r ? (r.y + cy / 100 * r.height) / H * 100 : cy);
+}));
+document.getElementById("maskLinearBtn")?.addEventListener("click", () => maskEdit(() => linearMask(Number(maskGradAngleEl?.value) || 0)));
+document.getElementById("maskInvertBtn")?.addEventListener("click", () => maskEdit(invertMask));
+document.getElementById("maskFillBtn")?.addEventListener("click", () => maskEdit(() => fillMask(255)));
+document.getElementById("maskClearBtn")?.addEventListener("click", () => maskEdit(() => fillMask(0)));
+document.getElementById("maskLoadBtn")?.addEventListener("click", () => {
+  if (!ensureMask()) { alert("Load an image first."); return; }
+  maskFileEl?.click();
+});
+maskFileEl?.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = "";
+  if (!file) return;
+  const url = URL.createObjectURL(file);
+  try {
+    const img = await loadImage(url);
+    maskEdit(() => maskFromImage(img));
+  } catch (err) {
+    console.error(err);
+    alert("Mask image failed to load.");
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+});
+
+// Any mask generator: needs an image, turns the mask on, re-renders
+function maskEdit(fn){
+  if (!ensureMask()) { alert("Load an image first."); return; }
+  fn();
+  setMaskEnabled(true);
+  syncMaskUI();
+  requestRender();
+}
+
+function syncMaskUI(){
+  if (maskEnabledEl) maskEnabledEl.checked = !!state.mask?.enabled;
+  redrawOverlay();
+}
+
+// ---------- On-canvas param editing (hooks are declared above the boot code) ----------
+function stopCanvasEdit(){
+  if (!canvasEdit) return;
+  canvasEdit = null;
+  setActiveTool(null);
+}
+
+// The editor follows its layer: switching layers or filters ends it
+function syncCanvasEdit(){
+  if (!canvasEdit) return;
+  const layer = activeLayer();
+  const def = state.currentFilter ? paramSchema(state.currentFilter)[canvasEdit.key] : null;
+  if (!layer || layer.uid !== canvasEdit.uid || !canvasTools[def?.type]) stopCanvasEdit();
+}
+
+function showPresetStatus(text, kind = ""){
+  showStatus(presetStatusEl, text, kind);
+}
+
+function showStatus(el, text, kind = ""){
+  if (!el) return;
+  el.textContent = text;
+  el.className = "hint status" + (kind ? " " + kind : "");
+  el.hidden = !text;
+}
+
+// ---------- Preset library (IndexedDB) ----------
+saveToLibraryBtn?.addEventListener("click", async () => {
+  if (!state.stack.length) return;
+  const preset = currentPreset();
+  try {
+    let thumb = "";
+    try { thumb = await renderThumbnail(preset); } catch (e) { console.warn("thumbnail failed", e); }
+    await addPreset(preset, thumb);
+    showStatus(libraryStatusEl, `Saved "${preset.name}" to the library.`);
+    refreshLibrary();
+  } catch (err) {
+    console.error(err);
+    showStatus(libraryStatusEl, "Could not save to the library: " + err.message, "error");
+  }
+});
+
+libraryAllEl?.addEventListener("change", () => refreshLibrary());
+
+exportLibraryBtn?.addEventListener("click", async () => {
+  try {
+    const bundle = await exportLibrary();
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = Object.assign(document.createElement("a"), { href: url, download: "distort-lab-library.json" });
+    document.body.appendChild(a); a.click(); a.remove();
+    URL.revokeObjectURL(url);
+    showStatus(libraryStatusEl, `Exported ${bundle.presets.length} preset(s).`);
+  } catch (err) {
+    console.error(err);
+    showStatus(libraryStatusEl, "Could not export the library: " + err.message, "error");
+  }
+});
+
+importLibraryBtn?.addEventListener("click", () => importLibraryFile?.click());
+importLibraryFile?.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = "";
+  if (!file) return;
+  try {
+    const { added, warnings } = await importLibrary(await file.text());
+    const head = `Imported ${added} preset(s) from ${file.name}.`;
+    showStatus(libraryStatusEl, warnings.length ? head + "\n" + warnings.join("\n") : head, warnings.length ? "warn" : "");
+    refreshLibrary();
+  } catch (err) {
+    console.error(err);
+    showStatus(libraryStatusEl, `Could not import ${file.name}: ${err.message}`, "error");
+  }
+});
+
+async function refreshLibrary(){
+  if (!libraryListEl) return;
+  try {
+    const entries = await listPresets(libraryAllEl?.checked ? null : state.filterId);
+    buildLibraryList(libraryListEl, entries, {
+      onApply: (entry) => {
+        try {
+          const preset = parsePreset(entry.preset);
+          applyPreset(preset);
+          showStatus(libraryStatusEl, preset.warnings.length
+            ? `Applied "${entry.name}" with warnings:\n` + preset.warnings.join("\n")
+            : `Applied "${entry.name}".`, preset.warnings.length ? "warn" : "");
+        } catch (err) {
+          showStatus(libraryStatusEl, `Could not apply "${entry.name}": ${err.message}`, "error");
+        }
+      },
+      onRename: async (entry) => {
+        const name = prompt("Rename preset", entry.name);
+        if (name === null || !name.trim()) return;
+        try {
+          await renamePreset(entry.id, name);
+          refreshLibrary();
+        } catch (err) {
+          console.error(err);
+          showStatus(libraryStatusEl, `Could not rename "${entry.name}": ${err.message}`, "error");
+        }
+      },
+      onDelete: async (entry) => {
+        if (!confirm(`Delete preset "${entry.name}"?`)) return;
+        try {
+          await deletePreset(entry.id);
+          refreshLibrary();
+        } catch (err) {
+          console.error(err);
+          showStatus(libraryStatusEl, `Could not delete "${entry.name}": ${err.message}`, "error");
+        }
+      },
+    });
+  } catch (err) {
+    console.warn("[DL-LAB] preset library unavailable:", err);
+    showStatus(libraryStatusEl, "Preset library unavailable in this browser.", "error");
+  }
+}
+
+// ---------- Session persistence (survives reloads) ----------
+let sessionTimer = 0;
+let sessionImagesKey = null; // ids of the images last written with the session
+function sessionChanged(){
+  clearTimeout(sessionTimer);
+  sessionTimer = setTimeout(() => {
+    const used = referencedImages([...state.stack, ...paramSets(state.params)]);
+    const images = exportImages(used);
+    const ids = Object.keys(images);
+    // Image files are megabytes of data URL: written only when the set of images changes
+    const key = ids.sort().join(",");
+    if (key !== sessionImagesKey) {
+      sessionImagesKey = key;
+      saveSessionImages(images).catch(e => { sessionImagesKey = null; console.warn("[DL-LAB] session images not saved:", e); });
+    }
+    saveSession(state.stack, state.activeLayer, state.params, state.settings, ids).catch(e => console.warn("[DL-LAB] session not saved:", e));
+  }, 400);
+}
+
+// Image params' pixels stay loaded while the stack, the last-used params or any history entry refer to them
+function releaseUnusedImages(){
+  releaseImages(referencedImages([...state.stack, ...paramSets(state.params), ...historyParamSets()]));
+}
+
+// state.params (filter id → params) as { filterId, params } entries for referencedImages
+function paramSets(byFilter){
+  return Object.entries(byFilter).map(([filterId, params]) => ({ filterId, params }));
+}
+
+async function restoreSession(){
+  let saved = null;
+  try { saved = await loadSession(); } catch (e) { console.warn("[DL-LAB] session not restored:", e); }
+  if (!saved || sessionWaitOver) return;
+  for (const [id, img] of Object.entries(saved.images || {})) {
+    try { await loadImageDataURL(id, img.url, img.name); }
+    catch (e) { console.warn("[DL-LAB] session image not restored:", e); }
+  }
+  if (sessionWaitOver) { console.warn("[DL-LAB] session arrived after boot, not restored"); return; }
+  // Validate against the current schemas so stale sessions never inject bad values
+  if (saved.settings) state.settings = validateSettings(saved.settings).settings;
+  for (const f of registry) {
+    if (saved.params?.[f.id]) state.params[f.id] = validateParams(f, saved.params[f.id]).params;
+  }
+  // Sessions saved before the filter stack existed only have filterId
+  const rawStack = Array.isArray(saved.stack) ? saved.stack
+    : (saved.filterId ? [{ filterId: saved.filterId, params: state.params[saved.filterId] }] : []);
+  const stack = [];
+  for (const l of rawStack) {
+    const f = registry.find(x => x.id === l.filterId);
+    if (f) stack.push(makeLayer(f.id, validateParams(f, l.params).params, l.enabled !== false));
+  }
+  if (stack.length) setStack(stack, saved.activeLayer ?? stack.length - 1);
+}
+
+function rebuildParamsPanel(){
+  filterSelect.value = state.filterId;
+  syncCanvasEdit();
+  buildParamsPanel(paramsPanel, state.currentFilter, activeLayer().params, onParamChange, canvasEditHooks);
+  if (settingsPanel) buildSettingsPanel(settingsPanel, state.settings, onSettingChange);
+  rebuildStackPanel();
+}
+
+function onParamChange(key, val){
+  setParam(key, val);
+  const def = state.currentFilter ? paramSchema(state.currentFilter)[key] : null;
+  recordHistory(`${state.currentFilter?.name}: ${def?.label || key}`, { coalesce: `param:${activeLayer().uid}:${key}` });
+  sessionChanged();
+  requestRender();
+}
+
+function onSettingChange(key, val){
+  setSetting(key, val);
+  recordHistory(`${settingsSchema[key]?.label || key}: ${state.settings[key]}`);
+  sessionChanged();
+  requestRender();
+}
+
 // ---------- Common loader (await onload + paint) ----------
 async function loadFileToState(file){
+  // 16-bit PNGs keep their precision (the browser's decoder would reduce them to 8 bits)
+  if (file.type === "image/png" || /\.png$/i.test(file.name || "")) {
+    let hi = null;
+    try { hi = await decodePNG16(await file.arrayBuffer()); }
+    catch (e) { console.warn("[DL-LAB] 16-bit PNG not decoded, loading as 8-bit:", e); }
+    if (hi) {
+      setSourcePixels(hi);
+      await sourceLoaded();
+      return;
+    }
+  }
+
   return new Promise((resolve, reject)=>{
     try{
       const url = URL.createObjectURL(file);
@@ -193,13 +806,8 @@ async function loadFileToState(file){
       img.onload = async ()=>{
         try{
           state.image = img;
-          if (placeholderEl) placeholderEl.style.display = "none";
-          if (canvasEl) canvasEl.style.display = "";
-
           await drawSource(); // fills srcCanvas/srcCtx with the image
-          fitToView();
-          requestRender();
-          await nextPaint();
+          await sourceLoaded();
 
           URL.revokeObjectURL(url);
           resolve();
@@ -219,11 +827,24 @@ async function loadFileToState(file){
   });
 }
 
+// New source in srcCanvas: show the stage, start a fresh history and mask
+async function sourceLoaded(){
+  if (placeholderEl) placeholderEl.style.display = "none";
+  if (canvasEl) canvasEl.style.display = "";
+  resetHistory("Open image");
+  resetMask();
+  setDocBounds(null);
+  syncMaskUI();
+  fitToView();
+  requestRender();
+  await nextPaint();
+}
+
 // ---------- Debounced render ----------
 let raf=0;
 function requestRender(){
   if (raf) cancelAnimationFrame(raf);
-  raf = requestAnimationFrame(()=>render());
+  raf = requestAnimationFrame(()=>{ render(); redrawOverlay(); });
 }
 
 // Wait for the next rendered frame (double rAF for safety)
@@ -256,29 +877,14 @@ async function writeImageToClipboard(blob){
 }
 
 // ================== Photopea roundtrip integration ==================
-const sessionId = new URLSearchParams(location.search).get("sessionId") || "";
-
-function announceReady(){
-  try{
-    if (window.opener && !window.opener.closed) {
-      window.opener.postMessage({ type:"LAB_READY", sessionId }, "https://pt-home.github.io");
-      LL("→ LAB_READY");
-    }
-  }catch(e){ console.warn(e); }
-}
-window.addEventListener("DOMContentLoaded", announceReady);
-
-// Receive images from plugin
-window.addEventListener("message", async (ev)=>{
-  const origin = ev.origin;
-  if (origin !== "https://pt-home.github.io") return;
-  const msg = ev.data || {};
-  if (msg.sessionId && sessionId && msg.sessionId !== sessionId) return;
+// The handshake, the config and the message listener are set up early in the boot (see there)
 
+async function receivePluginMessage(msg){
   if (msg.type === "LAB_OPEN") {
     LL("← LAB_OPEN (ack already sent as LAB_READY)");
     return;
   }
+  await booted;
 
   if (msg.type === "LAB_IMAGE" && msg.buffer instanceof ArrayBuffer) {
     const seq = typeof msg.seq === "number" ? msg.seq : -1;
@@ -302,31 +908,88 @@ window.addEventListener("message", async (ev)=>{
         return;
       }
 
+      setDocBounds(validDocBounds(msg.bounds));
+      if (msg.mask instanceof ArrayBuffer) await applySelectionMask(msg.mask);
+      if (loadId !== currentLoadId) return;
+      requestRender();
+
       lastSeqApplied = seq;
 
       if (window.opener && !window.opener.closed) {
-        window.opener.postMessage({ type:"LAB_IMAGE_APPLIED", sessionId, seq }, "https://pt-home.github.io");
+        window.opener.postMessage({ type:"LAB_IMAGE_APPLIED", sessionId, seq }, pluginOrigin);
         LL("→ LAB_IMAGE_APPLIED seq="+seq);
       }
     }catch(e){
       console.error("Failed to load image from plugin:", e);
     }
   }
-});
+}
+
+// Progress bar in the header while a transfer to / from the plugin is running
+function showTransferProgress({ direction, done, total }){
+  if (!ppTransferEl) return;
+  ppTransferEl.hidden = !(done < total);
+  ppTransferEl.value = total ? done / total : 0;
+  ppTransferEl.title = (direction === "send" ? "Sending to Photopea: " : "Receiving from Photopea: ")
+    + Math.round(total ? done / total * 100 : 0) + "%";
+}
 
-// Export current output PNG to Photopea (new document)
+// Export current output PNG to Photopea: onto the source layer, a new layer above it, or a new document
 exportToPPBtn?.addEventListener("click", async ()=>{
   try{
-    const ab = await canvasToArrayBuffer(canvasEl);
+    const ab = await canvasToArrayBuffer(await renderOutputCanvas());
     if (window.opener && !window.opener.closed) {
-      window.opener.postMessage({ type:"LAB_EXPORT", sessionId, mime:"image/png", name:"distorted.png", buffer: ab }, "https://pt-home.github.io", [ab]);
-      LP("→ LAB_EXPORT", ab.byteLength, "bytes");
+      const placement = ppPlacementEl?.value || "document";
+      // The output has the source's size, so the layer's bounds still say where it goes
+      const bounds = state.docBounds;
+      LP("→ LAB_EXPORT", ab.byteLength, "bytes, placement:", placement);
+      await transfer.send("LAB_EXPORT", { mime:"image/png", name:"distorted.png", placement, bounds }, { buffer: ab });
     } else {
       alert("Plugin window is not available. Please start from the Photopea plugin panel.");
     }
-  }catch(e){ console.error(e); alert("Failed to export PNG to Photopea."); }
+  }catch(e){
+    console.error(e);
+    if (ppTransferEl) ppTransferEl.hidden = true;
+    alert("Failed to export PNG to Photopea.");
+  }
 });
 
+// Photopea selection sent with LAB_IMAGE (grayscale PNG over the layer, feathering as grays)
+// → strength mask, so only the selected part is distorted
+async function applySelectionMask(buffer){
+  const url = URL.createObjectURL(new Blob([buffer], { type: "image/png" }));
+  try {
+    const img = await loadImage(url);
+    maskEdit(() => maskFromImage(img));
+    LL("selection mask applied", img.naturalWidth + "×" + img.naturalHeight);
+  } catch (e) {
+    console.warn("[DL-LAB] selection mask not applied:", e);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Layer placement sent with LAB_IMAGE; only kept if it describes the image that arrived
+function validDocBounds(b){
+  if (!b || typeof b !== "object") return null;
+  const keys = ["x", "y", "width", "height", "docWidth", "docHeight"];
+  if (!keys.every(k => Number.isFinite(b[k]))) return null;
+  if (b.width !== state.srcCanvas.width || b.height !== state.srcCanvas.height) {
+    console.warn("[DL-LAB] layer bounds do not match the image size — ignored", b);
+    return null;
+  }
+  const o = {};
+  for (const k of keys) o[k] = b[k];
+  return o;
+}
+
+function setDocBounds(b){
+  state.docBounds = b;
+  if (headerSubEl) headerSubEl.textContent = b
+    ? `Layer ${b.width}×${b.height} at ${b.x}, ${b.y} in a ${b.docWidth}×${b.docHeight} document`
+    : "";
+}
+
 function canvasToArrayBuffer(canvas){
   return new Promise((resolve,reject)=>{
     if (!canvas) return reject(new Error("No canvas"));
@@ -339,3 +1002,5 @@ function canvasToArrayBuffer(canvas){
     }, "image/png");
   });
 }
+
+bootDone();
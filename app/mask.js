@@ -0,0 +1,219 @@
+// mask.js
+// Strength mask: a grayscale buffer (0 = no distortion, 255 = full) that scales every layer's
+// displacement per output pixel. Sized like the source; the kernel samples it in normalized
+// coordinates, so a mask made for another size still lines up.
+//
+// state.mask = { width, height, data: Uint8ClampedArray, enabled, version, dirty }
+// dirty: { x, y, w, h } around the pixels changed since engine.js last published the mask, or null
+
+import { state } from "./state.js";
+import { loadImage } from "./utils.js";
+
+let tint = null, tintCtx = null;   // red overlay preview of the mask (source-sized)
+let showTint = true;
+let versionSeq = 0;                // mask versions are unique across mask objects
+
+/** The mask for the current source, created (empty) on first use */
+export function ensureMask() {
+  const w = state.srcCanvas?.width || 0, h = state.srcCanvas?.height || 0;
+  if (!w || !h) return null;
+  const m = state.mask;
+  if (m && m.width === w && m.height === h) return m;
+  state.mask = { width: w, height: h, data: new Uint8ClampedArray(w * h), enabled: m ? m.enabled : false, version: ++versionSeq, dirty: null };
+  tint = null;
+  return state.mask;
+}
+
+/** Drop the mask (new image loaded) */
+export function resetMask() {
+  state.mask = null;
+  tint = null;
+}
+
+export function setMaskTintVisible(on) {
+  showTint = !!on;
+}
+
+export function setMaskEnabled(on) {
+  const m = ensureMask();
+  if (m) m.enabled = !!on;
+}
+
+/** Fill with a constant (0..255) */
+export function fillMask(value) {
+  const m = ensureMask(); if (!m) return;
+  m.data.fill(value);
+  changed(m);
+}
+
+export function invertMask() {
+  const m = ensureMask(); if (!m) return;
+  for (let i = 0; i < m.data.length; i++) m.data[i] = 255 - m.data[i];
+  changed(m);
+}
+
+/** Radial gradient: full strength at the center, fading to 0 at half the shorter side */
+export function radialMask(cxPct = 50, cyPct = 50) {
+  const m = ensureMask(); if (!m) return;
+  const cx = cxPct / 100 * m.width, cy = cyPct / 100 * m.height;
+  const R = Math.min(m.width, m.height) * 0.5;
+  for (let y = 0, i = 0; y < m.height; y++) {
+    for (let x = 0; x < m.width; x++, i++) {
+      const t = 1 - Math.hypot(x + 0.5 - cx, y + 0.5 - cy) / R;
+      m.data[i] = 255 * smooth(t);
+    }
+  }
+  changed(m);
+}
+
+/** Linear gradient across the image along angleDeg (0° = left → right, 90° = top → bottom) */
+export function linearMask(angleDeg = 0) {
+  const m = ensureMask(); if (!m) return;
+  const a = angleDeg * Math.PI / 180, dx = Math.cos(a), dy = Math.sin(a);
+  // project the corners to find the gradient's extent
+  const proj = [[0, 0], [m.width, 0], [0, m.height], [m.width, m.height]].map(([x, y]) => x * dx + y * dy);
+  const lo = Math.min(...proj), span = Math.max(1e-6, Math.max(...proj) - lo);
+  for (let y = 0, i = 0; y < m.height; y++) {
+    for (let x = 0; x < m.width; x++, i++) {
+      m.data[i] = 255 * ((x + 0.5) * dx + (y + 0.5) * dy - lo) / span;
+    }
+  }
+  changed(m);
+}
+
+/** Luminance of an image (any size, stretched to the source) becomes the mask */
+export function maskFromImage(img) {
+  const m = ensureMask(); if (!m) return;
+  const c = document.createElement("canvas");
+  c.width = m.width; c.height = m.height;
+  const ctx = c.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, m.width, m.height);
+  const px = ctx.getImageData(0, 0, m.width, m.height).data;
+  for (let i = 0, j = 0; i < m.data.length; i++, j += 4) {
+    // Rec. 709 luma, weighted by alpha (transparent = no distortion)
+    m.data[i] = (0.2126 * px[j] + 0.7152 * px[j+1] + 0.0722 * px[j+2]) * px[j+3] / 255;
+  }
+  changed(m);
+}
+
+/** Grayscale PNG data URL of the mask (for presets) */
+export function maskToDataURL() {
+  const m = state.mask; if (!m) return "";
+  const c = document.createElement("canvas");
+  c.width = m.width; c.height = m.height;
+  const ctx = c.getContext("2d");
+  const img = ctx.createImageData(m.width, m.height);
+  for (let i = 0, j = 0; i < m.data.length; i++, j += 4) {
+    img.data[j] = img.data[j+1] = img.data[j+2] = m.data[i];
+    img.data[j+3] = 255;
+  }
+  ctx.putImageData(img, 0, 0);
+  return c.toDataURL("image/png");
+}
+
+export async function maskFromDataURL(url) {
+  maskFromImage(await loadImage(url));
+}
+
+/**
+ * Brush tool for overlay.js. opts() → { size, hardness (0..100), mode: "add" | "subtract" }.
+ * onStroke(phase) is called with "start" | "move" | "end" so the caller can re-render.
+ */
+export function createMaskBrush(opts, onStroke) {
+  let last = null;
+  let hover = null;
+  const tool = {
+    cursor: "crosshair",
+    pointerDown(pt) { last = pt; hover = pt; dab(pt, opts()); onStroke("start"); },
+    pointerMove(pt, ev, dragging) {
+      hover = pt;
+      if (!dragging || !last) { redrawHint(); return; }
+      const o = opts();
+      // A dab every quarter radius keeps fast strokes continuous
+      const spacing = Math.max(1, o.size / 8);
+      const d = Math.hypot(pt.x - last.x, pt.y - last.y);
+      const n = Math.max(1, Math.ceil(d / spacing));
+      for (let i = 1; i <= n; i++) dab({ x: last.x + (pt.x - last.x) * i / n, y: last.y + (pt.y - last.y) * i / n }, o);
+      last = pt;
+      onStroke("move");
+    },
+    pointerUp() { last = null; onStroke("end"); },
+    draw(ctx, view) {
+      if (!hover) return;
+      const [sx, sy] = view.toScreen(hover.x, hover.y);
+      ctx.strokeStyle = "rgba(255,255,255,.9)";
+      ctx.lineWidth = 1;
+      ctx.beginPath(); ctx.arc(sx, sy, opts().size / 2 * view.scale, 0, Math.PI * 2); ctx.stroke();
+    },
+  };
+  function redrawHint() { onStroke("hover"); }
+  return tool;
+}
+
+/** Overlay layer: mask shown as a red wash over areas that will NOT be distorted */
+export function drawMaskTint(ctx, view) {
+  const m = state.mask;
+  if (!m || !m.enabled || !showTint) return;
+  if (!tint || tint.width !== m.width || tint.height !== m.height) rebuildTint(m);
+  ctx.globalAlpha = 0.5;
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(tint, 0, 0, m.width * view.scale, m.height * view.scale);
+}
+
+// Paint one soft round dab into the mask ("add" raises towards 255, "subtract" lowers towards 0)
+function dab(pt, o) {
+  const m = ensureMask(); if (!m) return;
+  const r = Math.max(0.5, o.size / 2);
+  const hard = Math.max(0, Math.min(0.999, o.hardness / 100));
+  const x0 = Math.max(0, Math.floor(pt.x - r)), x1 = Math.min(m.width - 1, Math.ceil(pt.x + r));
+  const y0 = Math.max(0, Math.floor(pt.y - r)), y1 = Math.min(m.height - 1, Math.ceil(pt.y + r));
+  if (x0 > x1 || y0 > y1) return;
+  const add = o.mode !== "subtract";
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const d = Math.hypot(x + 0.5 - pt.x, y + 0.5 - pt.y) / r;
+      if (d >= 1) continue;
+      // fully opaque inside the hard core, smooth falloff to the rim
+      const a = d <= hard ? 1 : smooth(1 - (d - hard) / (1 - hard));
+      const i = y * m.width + x;
+      m.data[i] = add ? Math.max(m.data[i], 255 * a) : Math.min(m.data[i], 255 * (1 - a));
+    }
+  }
+  changed(m, x0, y0, x1 - x0 + 1, y1 - y0 + 1);
+}
+
+function changed(m, x = 0, y = 0, w = m.width, h = m.height) {
+  m.version = ++versionSeq;
+  const d = m.dirty;
+  if (d) {
+    const x1 = Math.max(d.x + d.w, x + w), y1 = Math.max(d.y + d.h, y + h);
+    d.x = Math.min(d.x, x); d.y = Math.min(d.y, y); d.w = x1 - d.x; d.h = y1 - d.y;
+  } else {
+    m.dirty = { x, y, w, h };
+  }
+  if (tint && tint.width === m.width && tint.height === m.height) updateTint(m, x, y, w, h);
+}
+
+function rebuildTint(m) {
+  tint = document.createElement("canvas");
+  tint.width = m.width; tint.height = m.height;
+  tintCtx = tint.getContext("2d");
+  updateTint(m, 0, 0, m.width, m.height);
+}
+
+function updateTint(m, x, y, w, h) {
+  const img = tintCtx.createImageData(w, h);
+  for (let yy = 0, j = 0; yy < h; yy++) {
+    let i = (y + yy) * m.width + x;
+    for (let xx = 0; xx < w; xx++, i++, j += 4) {
+      img.data[j] = 255; img.data[j+1] = 32; img.data[j+2] = 32;
+      img.data[j+3] = 255 - m.data[i];
+    }
+  }
+  tintCtx.putImageData(img, x, y);
+}
+
+function smooth(t) {
+  t = Math.max(0, Math.min(1, t));
+  return t * t * (3 - 2 * t);
+}
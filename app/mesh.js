@@ -0,0 +1,162 @@
+// mesh.js
+// Control grid for the mesh warp filter (filters/mesh.js) and its on-canvas editor (warptools.js).
+//
+// A mesh param value is plain JSON so it travels through presets, history and the session:
+//   { cols, rows, offsets: [dx0, dy0, dx1, dy1, …] }   row-major, cols × rows points,
+//   each point's move away from its rest position in % of the image width / height.
+// The rest grid spans the image edge to edge; all-zero offsets leave the image untouched.
+// A point shows where the content under its rest position ends up.
+//
+// Between points the grid is interpolated bilinearly or with Catmull-Rom patches (bicubic).
+// Beyond the outer points it continues linearly, so pulling an edge point inwards exposes
+// the filter's edge mode rather than wrapping the patch polynomial around.
+
+export const MESH_MIN = 2;
+export const MESH_MAX = 16;
+
+/** Undistorted cols × rows grid */
+export function restMesh(cols = 4, rows = 4) {
+  return { cols, rows, offsets: new Array(cols * rows * 2).fill(0) };
+}
+
+/** Position of point k (index into offsets) in % of the image */
+export function meshPoint(mesh, k) {
+  const n = k >> 1, i = n % mesh.cols, j = (n - i) / mesh.cols;
+  return [100 * i / (mesh.cols - 1) + mesh.offsets[k], 100 * j / (mesh.rows - 1) + mesh.offsets[k + 1]];
+}
+
+/** A well-formed copy of a stored mesh value, or null */
+export function normalizeMesh(v) {
+  if (!v || typeof v !== "object") return null;
+  const cols = Number(v.cols), rows = Number(v.rows);
+  if (!Number.isInteger(cols) || !Number.isInteger(rows)) return null;
+  if (cols < MESH_MIN || cols > MESH_MAX || rows < MESH_MIN || rows > MESH_MAX) return null;
+  if (!Array.isArray(v.offsets) || v.offsets.length !== cols * rows * 2) return null;
+  const offsets = v.offsets.map(Number);
+  if (!offsets.every(Number.isFinite)) return null;
+  return { cols, rows, offsets };
+}
+
+/** Same deformation on a cols × rows grid (new points are read off the current interpolation) */
+export function resampleMesh(mesh, cols, rows, interp = "bicubic") {
+  const g = prepareMesh(mesh, 100, 100);
+  const out = { cols, rows, offsets: [] };
+  const f = new Float64Array(6);
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      evalMesh(g, i / (cols - 1) * (g.cols - 1), j / (rows - 1) * (g.rows - 1), interp === "bicubic", f);
+      out.offsets.push(round(f[0] - 100 * i / (cols - 1)), round(f[1] - 100 * j / (rows - 1)));
+    }
+  }
+  return out;
+}
+
+/**
+ * Grid in pixels, padded by one extrapolated point on every side so each patch
+ * has its 4×4 Catmull-Rom neighbourhood.
+ */
+export function prepareMesh(mesh, W, H) {
+  const { cols, rows, offsets } = mesh;
+  const ec = cols + 2, er = rows + 2;
+  const px = new Float64Array(ec * er), py = new Float64Array(ec * er);
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < cols; i++) {
+      const k = (j + 1) * ec + i + 1, s = (j * cols + i) * 2;
+      px[k] = (i / (cols - 1) + offsets[s] / 100) * W;
+      py[k] = (j / (rows - 1) + offsets[s + 1] / 100) * H;
+    }
+  }
+  // P[-1] = 2·P[0] − P[1] keeps the edge patches linear towards the border
+  for (let j = 1; j <= rows; j++) {
+    const r = j * ec;
+    px[r] = 2 * px[r + 1] - px[r + 2];                 py[r] = 2 * py[r + 1] - py[r + 2];
+    px[r + ec - 1] = 2 * px[r + ec - 2] - px[r + ec - 3]; py[r + ec - 1] = 2 * py[r + ec - 2] - py[r + ec - 3];
+  }
+  for (let i = 0; i < ec; i++) {
+    px[i] = 2 * px[ec + i] - px[2 * ec + i];           py[i] = 2 * py[ec + i] - py[2 * ec + i];
+    const l = (er - 1) * ec + i;
+    px[l] = 2 * px[l - ec] - px[l - 2 * ec];           py[l] = 2 * py[l - ec] - py[l - 2 * ec];
+  }
+  return { cols, rows, ec, px, py, W, H };
+}
+
+/**
+ * Position and partial derivatives of the grid at grid coordinates (s, t) (0..cols-1, 0..rows-1).
+ * out = [x, y, dx/ds, dy/ds, dx/dt, dy/dt]
+ */
+export function evalMesh(g, s, t, bicubic, out) {
+  const sc = Math.max(0, Math.min(g.cols - 1, s));
+  const tc = Math.max(0, Math.min(g.rows - 1, t));
+  const i = Math.min(g.cols - 2, Math.floor(sc)), j = Math.min(g.rows - 2, Math.floor(tc));
+  const wx = W4[0], dx = W4[1], wy = W4[2], dy = W4[3];
+  weights(sc - i, bicubic, wx, dx);
+  weights(tc - j, bicubic, wy, dy);
+
+  let x = 0, y = 0, xs = 0, ys = 0, xt = 0, yt = 0;
+  for (let b = 0; b < 4; b++) {
+    const row = (j + b) * g.ec + i;   // padded index of point (i-1, j-1+b)
+    for (let a = 0; a < 4; a++) {
+      const px = g.px[row + a], py = g.py[row + a];
+      const w = wx[a] * wy[b], ws = dx[a] * wy[b], wt = wx[a] * dy[b];
+      x += w * px;  y += w * py;
+      xs += ws * px; ys += ws * py;
+      xt += wt * px; yt += wt * py;
+    }
+  }
+  // Linear continuation outside the grid
+  x += xs * (s - sc) + xt * (t - tc);
+  y += ys * (s - sc) + yt * (t - tc);
+  out[0] = x; out[1] = y; out[2] = xs; out[3] = ys; out[4] = xt; out[5] = yt;
+  return out;
+}
+
+/**
+ * Grid coordinates (s, t) whose warped position is (x, y), by Newton iteration from (s, t).
+ * Returns false if it does not settle (folded mesh); out then holds the best guess.
+ */
+export function invertMesh(g, x, y, bicubic, st) {
+  const f = F6;
+  let s = st[0], t = st[1];
+  for (let it = 0; it < 16; it++) {
+    evalMesh(g, s, t, bicubic, f);
+    const rx = f[0] - x, ry = f[1] - y;
+    if (rx * rx + ry * ry < 1e-6) { st[0] = s; st[1] = t; return true; }
+    const det = f[2] * f[5] - f[4] * f[3];
+    if (Math.abs(det) < 1e-12) break;
+    let ds = ( f[5] * rx - f[4] * ry) / det;
+    let dt = (-f[3] * rx + f[2] * ry) / det;
+    // At most one cell per step keeps the iteration out of far-away folds
+    const len = Math.hypot(ds, dt);
+    if (len > 1) { ds /= len; dt /= len; }
+    s -= ds; t -= dt;
+  }
+  st[0] = s; st[1] = t;
+  evalMesh(g, s, t, bicubic, f);
+  return Math.hypot(f[0] - x, f[1] - y) < 0.5;
+}
+
+const W4 = [new Float64Array(4), new Float64Array(4), new Float64Array(4), new Float64Array(4)];
+const F6 = new Float64Array(6);
+
+// Tap weights (and their derivatives) for points i-1, i, i+1, i+2 at fraction f of patch i
+function weights(f, bicubic, w, d) {
+  if (!bicubic) {
+    w[0] = 0; w[1] = 1 - f; w[2] = f; w[3] = 0;
+    d[0] = 0; d[1] = -1;    d[2] = 1; d[3] = 0;
+    return;
+  }
+  const f2 = f * f, f3 = f2 * f;
+  w[0] = (-f3 + 2 * f2 - f) / 2;
+  w[1] = (3 * f3 - 5 * f2 + 2) / 2;
+  w[2] = (-3 * f3 + 4 * f2 + f) / 2;
+  w[3] = (f3 - f2) / 2;
+  d[0] = (-3 * f2 + 4 * f - 1) / 2;
+  d[1] = (9 * f2 - 10 * f) / 2;
+  d[2] = (-9 * f2 + 8 * f + 1) / 2;
+  d[3] = (3 * f2 - 2 * f) / 2;
+}
+
+// Stored offsets keep two decimals (≈ a pixel on a 10k image) so presets stay readable
+function round(v) {
+  return Math.round(v * 100) / 100;
+}
@@ -0,0 +1,117 @@
+// mip.js
+// Mip pyramid of the source pixels + elliptical weighted average (EWA) sampling on it.
+// DOM-free (runs in the render workers); the pyramid is built once per sourceVersion by one worker
+// and handed to the others (pool.js).
+
+import { tapIndex } from "./utils.js";
+
+// Largest minor half-axis (in texels) evaluated once the coarsest level is reached
+const EWA_MAX_RADIUS = 8;
+// Footprints thinner than 1/MAX_ANISOTROPY of their length are widened (bounds the tap count)
+const MAX_ANISOTROPY = 16;
+
+/**
+ * Box-filtered pyramid down to 1×1. Level 0 is not included (it is the source itself).
+ * Colors are averaged premultiplied so transparent pixels do not bleed into their neighbours.
+ * Levels keep the source's array type (Uint8ClampedArray or Float32Array).
+ * @returns {{width:number,height:number,data:Uint8ClampedArray|Float32Array}[]}
+ */
+export function buildMipPyramid(width, height, data) {
+  const levels = [];
+  let W = width, H = height, d = data;
+  while (W > 1 || H > 1) {
+    const w = Math.max(1, Math.ceil(W / 2)), h = Math.max(1, Math.ceil(H / 2));
+    const out = new data.constructor(w * h * 4);
+    for (let y = 0; y < h; y++) {
+      const y0 = 2 * y, y1 = Math.min(y0 + 1, H - 1);
+      for (let x = 0; x < w; x++) {
+        const x0 = 2 * x, x1 = Math.min(x0 + 1, W - 1);
+        const i0 = (y0 * W + x0) * 4, i1 = (y0 * W + x1) * 4, i2 = (y1 * W + x0) * 4, i3 = (y1 * W + x1) * 4;
+        const a0 = d[i0 + 3], a1 = d[i1 + 3], a2 = d[i2 + 3], a3 = d[i3 + 3];
+        const a = a0 + a1 + a2 + a3;
+        const o = (y * w + x) * 4;
+        if (a > 0) {
+          out[o]     = (d[i0]     * a0 + d[i1]     * a1 + d[i2]     * a2 + d[i3]     * a3) / a;
+          out[o + 1] = (d[i0 + 1] * a0 + d[i1 + 1] * a1 + d[i2 + 1] * a2 + d[i3 + 1] * a3) / a;
+          out[o + 2] = (d[i0 + 2] * a0 + d[i1 + 2] * a1 + d[i2 + 2] * a2 + d[i3 + 2] * a3) / a;
+          out[o + 3] = a / 4;
+        }
+      }
+    }
+    levels.push({ width: w, height: h, data: out });
+    W = w; H = h; d = out;
+  }
+  return levels;
+}
+
+/**
+ * EWA (Heckbert) lookup at source point (x,y). The footprint of one output pixel in source pixels
+ * is given by the mapping's derivatives fp = { ux, vx, uy, vy } (d(u,v)/dx and d(u,v)/dy).
+ * A Gaussian over that ellipse (widened to at least one texel) is evaluated on the mip level where
+ * it spans a few texels. Taps outside the image follow edgeMode like the other samplers.
+ * @param {{width:number,height:number,data:Uint8ClampedArray}[]} levels  level 0 = source, then the pyramid
+ */
+export function ewaSample(levels, edgeMode, x, y, fp, out) {
+  // Conic A u² + B uv + C v² = F of the footprint ellipse, plus a unit reconstruction filter
+  let A = fp.vx * fp.vx + fp.vy * fp.vy + 1;
+  let B = -2 * (fp.ux * fp.vx + fp.uy * fp.vy);
+  let C = fp.ux * fp.ux + fp.uy * fp.uy + 1;
+  const F = A * C - B * B / 4;
+  A /= F; B /= F; C /= F;
+
+  // Half-axes from the eigenvalues of [[A, B/2], [B/2, C]] (the larger eigenvalue is the minor axis)
+  const root = Math.sqrt((A - C) * (A - C) + B * B);
+  const lMax = (A + C + root) / 2, lMin = Math.max(1e-12, (A + C - root) / 2);
+  const major = 1 / Math.sqrt(lMin);
+  let minor = 1 / Math.sqrt(lMax);
+
+  // Too thin: widen along the minor axis only, keeping the orientation
+  if (major > minor * MAX_ANISOTROPY) {
+    minor = major / MAX_ANISOTROPY;
+    let ex = B / 2, ey = lMax - A;
+    if (Math.abs(ex) + Math.abs(ey) < 1e-12) { ex = A >= C ? 1 : 0; ey = A >= C ? 0 : 1; }
+    const n = Math.hypot(ex, ey);
+    ex /= n; ey /= n;
+    const dl = 1 / (minor * minor) - lMax;
+    A += dl * ex * ex; B += 2 * dl * ex * ey; C += dl * ey * ey;
+  }
+
+  // Level where the minor half-axis spans one to two texels
+  const lod = Math.min(levels.length - 1, Math.max(0, Math.floor(Math.log2(minor))));
+  const scale = 1 << lod;
+  const L = levels[lod];
+
+  // Conic in level texels: distances shrink by `scale`, so coefficients grow by scale².
+  // Past the coarsest level the ellipse can still be huge; cap it (the level is tiny by then).
+  let k = scale * scale;
+  const minorTexels = minor / scale;
+  if (minorTexels > EWA_MAX_RADIUS) k *= (minorTexels / EWA_MAX_RADIUS) ** 2;
+  const a = A * k, b = B * k, c = C * k;
+  const det = a * c - b * b / 4;
+  const hu = Math.sqrt(c / det), hv = Math.sqrt(a / det);
+
+  const cu = (x + 0.5) / scale - 0.5, cv = (y + 0.5) / scale - 0.5;
+  const u0 = Math.ceil(cu - hu), u1 = Math.floor(cu + hu);
+  const v0 = Math.ceil(cv - hv), v1 = Math.floor(cv + hv);
+  const W = L.width, H = L.height, d = L.data;
+
+  let r = 0, g = 0, bl = 0, al = 0, wsum = 0;
+  for (let v = v0; v <= v1; v++) {
+    const dv = v - cv;
+    const row = tapIndex(v, H, edgeMode);
+    for (let u = u0; u <= u1; u++) {
+      const du = u - cu;
+      const q = a * du * du + b * du * dv + c * dv * dv;
+      if (q >= 1) continue;
+      const w = Math.exp(-2 * q);
+      wsum += w;
+      const col = tapIndex(u, W, edgeMode);
+      if (row < 0 || col < 0) continue;   // transparent edge: empty tap
+      const i = (row * W + col) * 4;
+      const aw = d[i + 3] * w;
+      r += d[i] * aw; g += d[i + 1] * aw; bl += d[i + 2] * aw; al += aw;
+    }
+  }
+  if (wsum <= 0 || al <= 0) { out[0] = 0; out[1] = 0; out[2] = 0; out[3] = 0; return; }
+  out[0] = r / al; out[1] = g / al; out[2] = bl / al; out[3] = al / wsum;
+}
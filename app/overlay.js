@@ -0,0 +1,109 @@
+// overlay.js
+// Transparent canvas stacked over #view for on-canvas editing (mask brush, control points, …).
+// Coordinates handed to tools are in SOURCE pixels (independent of zoom); drawing gets a
+// toScreen() helper that maps source pixels to overlay CSS pixels.
+//
+// Tool shape (all optional):
+//   { cursor, pointerDown(pt, ev), pointerMove(pt, ev), pointerUp(pt, ev), draw(ctx, view) }
+// Only one tool is active (receives pointer events); passive layers only draw.
+
+import { state } from "./state.js";
+
+let overlay = null, octx = null, view = null;
+let activeTool = null;
+let dragging = false;
+const layers = new Set();   // passive draw functions (ctx, view) => void
+
+/** Create the overlay canvas next to #view */
+export function initOverlay() {
+  if (overlay) return;
+  view = document.getElementById("view");
+  if (!view || !view.parentElement) return;
+
+  overlay = document.createElement("canvas");
+  overlay.id = "overlay";
+  view.parentElement.appendChild(overlay);
+  octx = overlay.getContext("2d");
+
+  overlay.addEventListener("pointerdown", (ev) => {
+    if (!activeTool || ev.button !== 0) return;
+    dragging = true;
+    overlay.setPointerCapture?.(ev.pointerId);
+    activeTool.pointerDown?.(toSource(ev), ev);
+    ev.preventDefault();
+  });
+  overlay.addEventListener("pointermove", (ev) => {
+    if (!activeTool) return;
+    activeTool.pointerMove?.(toSource(ev), ev, dragging);
+  });
+  const up = (ev) => {
+    if (!activeTool || !dragging) return;
+    dragging = false;
+    activeTool.pointerUp?.(toSource(ev), ev);
+  };
+  overlay.addEventListener("pointerup", up);
+  overlay.addEventListener("pointercancel", up);
+  window.addEventListener("resize", () => redrawOverlay());
+}
+
+/** Route pointer input on the canvas to a tool (null = none, canvas behaves as before) */
+export function setActiveTool(tool) {
+  activeTool = tool || null;
+  dragging = false;
+  redrawOverlay();
+}
+
+export function getActiveTool() {
+  return activeTool;
+}
+
+/** Register a passive drawing layer; returns an unregister function */
+export function addOverlayLayer(draw) {
+  layers.add(draw);
+  redrawOverlay();
+  return () => { layers.delete(draw); redrawOverlay(); };
+}
+
+/** Re-sync overlay geometry with #view and redraw every layer + the active tool */
+export function redrawOverlay() {
+  if (!overlay || !view) return;
+  const visible = view.style.display !== "none" && view.clientWidth > 0;
+  overlay.style.display = visible ? "" : "none";
+  overlay.style.pointerEvents = activeTool ? "auto" : "none";
+  overlay.style.cursor = activeTool?.cursor || "";
+  if (!visible) return;
+
+  // Cover the content box of #view (inside its border)
+  const cssW = view.clientWidth, cssH = view.clientHeight;
+  overlay.style.left = (view.offsetLeft + view.clientLeft) + "px";
+  overlay.style.top  = (view.offsetTop + view.clientTop) + "px";
+  overlay.style.width = cssW + "px";
+  overlay.style.height = cssH + "px";
+  const dpr = window.devicePixelRatio || 1;
+  const pw = Math.max(1, Math.round(cssW * dpr)), ph = Math.max(1, Math.round(cssH * dpr));
+  if (overlay.width !== pw || overlay.height !== ph) { overlay.width = pw; overlay.height = ph; }
+
+  octx.setTransform(1, 0, 0, 1, 0, 0);
+  octx.clearRect(0, 0, pw, ph);
+  octx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+  const k = screenPerSource();
+  const v = { scale: k, width: cssW, height: cssH, toScreen: (x, y) => [x * k, y * k] };
+  for (const draw of layers) { octx.save(); draw(octx, v); octx.restore(); }
+  if (activeTool?.draw) { octx.save(); activeTool.draw(octx, v); octx.restore(); }
+}
+
+// CSS pixels of #view per source pixel
+function screenPerSource() {
+  if (!view || !view.width) return 1;
+  return (view.clientWidth / view.width) * Math.max(0.01, state.viewScale || 1);
+}
+
+function toSource(ev) {
+  const r = view.getBoundingClientRect();
+  const k = screenPerSource();
+  return {
+    x: (ev.clientX - r.left - view.clientLeft) / k,
+    y: (ev.clientY - r.top - view.clientTop) / k,
+  };
+}
@@ -0,0 +1,182 @@
+// pins.js
+// Point-to-point warp (filters/pin.js) and its on-canvas editor (warptools.js).
+//
+// A pins param value is plain JSON so it travels through presets, history and the session:
+//   { pairs: [ [sx, sy, tx, ty], … ] }   in % of the image width / height
+// The content at (sx, sy) is pulled to (tx, ty).
+//
+// The warp is solved backwards — targets → sources — so evaluating it at an output pixel
+// gives the source position directly (the inverse mapping the kernel wants):
+//   moving least squares (Schaefer et al. 2006) with affine, similarity or rigid local fits,
+//   or a thin-plate spline through the pins.
+// Stiffness trades the local fit for one global fit of the same kind (MLS), or relaxes the
+// spline from interpolating the pins towards the best affine map (TPS smoothing).
+
+export const MAX_PINS = 64;
+
+/** A well-formed copy of a stored pins value, or null */
+export function normalizePins(v) {
+  if (!v || typeof v !== "object" || !Array.isArray(v.pairs) || v.pairs.length > MAX_PINS) return null;
+  const pairs = [];
+  for (const pr of v.pairs) {
+    if (!Array.isArray(pr) || pr.length !== 4) return null;
+    const n = pr.map(Number);
+    if (!n.every(Number.isFinite)) return null;
+    pairs.push(n);
+  }
+  return { pairs };
+}
+
+/**
+ * Pins in pixels + whatever the method needs precomputed.
+ * method: "rigid" | "similarity" | "affine" | "tps"; stiffness 0..1
+ */
+export function preparePins(pins, W, H, method, stiffness) {
+  const n = pins.pairs.length;
+  const px = new Float64Array(n), py = new Float64Array(n);   // targets (where the content goes)
+  const qx = new Float64Array(n), qy = new Float64Array(n);   // sources
+  pins.pairs.forEach(([sx, sy, tx, ty], i) => {
+    px[i] = tx / 100 * W; py[i] = ty / 100 * H;
+    qx[i] = sx / 100 * W; qy[i] = sy / 100 * H;
+  });
+  const g = { n, px, py, qx, qy, method, stiffness, W, H, w: new Float64Array(n), tps: null };
+  if (method === "tps" && n >= 3) g.tps = solveTPS(g);
+  return g;
+}
+
+/** Source position for output position (x, y), written into out = [u, v] */
+export function evalPins(g, x, y, out) {
+  if (g.n === 0) { out[0] = x; out[1] = y; return out; }
+  if (g.tps) return evalTPS(g, x, y, out);
+  return evalMLS(g, x, y, g.method === "tps" ? "similarity" : g.method, out);
+}
+
+// ---------- Moving least squares ----------
+
+function evalMLS(g, x, y, method, out) {
+  const { n, px, py, qx, qy, w } = g;
+
+  // Weights 1/d², normalized, then mixed with uniform weights by stiffness
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = px[i] - x, dy = py[i] - y, d2 = dx * dx + dy * dy;
+    if (d2 < 1e-9 && g.stiffness <= 0) { out[0] = qx[i]; out[1] = qy[i]; return out; }
+    w[i] = 1 / Math.max(d2, 1e-9);
+    sum += w[i];
+  }
+  const s = g.stiffness;
+  let pcx = 0, pcy = 0, qcx = 0, qcy = 0;
+  for (let i = 0; i < n; i++) {
+    w[i] = (1 - s) * w[i] / sum + s / n;
+    pcx += w[i] * px[i]; pcy += w[i] * py[i];
+    qcx += w[i] * qx[i]; qcy += w[i] * qy[i];
+  }
+  const vx = x - pcx, vy = y - pcy;
+
+  if (method === "affine") {
+    // M = (Σ w p̂ᵀp̂)⁻¹ Σ w p̂ᵀq̂
+    let a = 0, b = 0, c = 0, m00 = 0, m01 = 0, m10 = 0, m11 = 0;
+    for (let i = 0; i < n; i++) {
+      const hx = px[i] - pcx, hy = py[i] - pcy, kx = qx[i] - qcx, ky = qy[i] - qcy;
+      a += w[i] * hx * hx; b += w[i] * hx * hy; c += w[i] * hy * hy;
+      m00 += w[i] * hx * kx; m01 += w[i] * hx * ky;
+      m10 += w[i] * hy * kx; m11 += w[i] * hy * ky;
+    }
+    const det = a * c - b * b;
+    // Collinear pins leave one direction undetermined; a similarity fit still works there
+    if (Math.abs(det) > 1e-9 * (a + c) * (a + c)) {
+      const tx = (c * vx - b * vy) / det, ty = (-b * vx + a * vy) / det;
+      out[0] = tx * m00 + ty * m10 + qcx;
+      out[1] = tx * m01 + ty * m11 + qcy;
+      return out;
+    }
+    method = "similarity";
+  }
+
+  // Similarity: the complex factor k minimizing Σ w |k·p̂ − q̂|²; rigid keeps only its rotation
+  let mu = 0, kr = 0, ki = 0;
+  for (let i = 0; i < n; i++) {
+    const hx = px[i] - pcx, hy = py[i] - pcy, qhx = qx[i] - qcx, qhy = qy[i] - qcy;
+    mu += w[i] * (hx * hx + hy * hy);
+    kr += w[i] * (hx * qhx + hy * qhy);
+    ki += w[i] * (hx * qhy - hy * qhx);
+  }
+  if (mu < 1e-12) { kr = 1; ki = 0; }            // one pin (or all pins in one spot): translation
+  else if (method === "rigid") {
+    const len = Math.hypot(kr, ki);
+    if (len > 1e-12) { kr /= len; ki /= len; } else { kr = 1; ki = 0; }
+  } else { kr /= mu; ki /= mu; }
+  out[0] = kr * vx - ki * vy + qcx;
+  out[1] = ki * vx + kr * vy + qcy;
+  return out;
+}
+
+// ---------- Thin-plate spline ----------
+
+// Coordinates are scaled by the image diagonal so the smoothing term means the same at any size
+function solveTPS(g) {
+  const { n, px, py, qx, qy } = g;
+  const D = Math.hypot(g.W, g.H) || 1;
+  const s = Math.min(g.stiffness, 0.999);
+  const lambda = s / (1 - s);
+  const m = n + 3;
+  const A = new Float64Array(m * m);
+  const bx = new Float64Array(m), by = new Float64Array(m);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      A[i * m + j] = (i === j) ? lambda : kernel(Math.hypot(px[i] - px[j], py[i] - py[j]) / D);
+    }
+    const r = [1, px[i] / D, py[i] / D];
+    for (let k = 0; k < 3; k++) { A[i * m + n + k] = r[k]; A[(n + k) * m + i] = r[k]; }
+    bx[i] = qx[i] / D; by[i] = qy[i] / D;
+  }
+  const sol = solve(A, [bx, by], m);
+  if (!sol) return null;   // collinear pins: the affine part is undetermined
+  return { D, wx: sol[0], wy: sol[1] };
+}
+
+function evalTPS(g, x, y, out) {
+  const { n, px, py } = g, { D, wx, wy } = g.tps;
+  const xn = x / D, yn = y / D;
+  let u = wx[n] + wx[n + 1] * xn + wx[n + 2] * yn;
+  let v = wy[n] + wy[n + 1] * xn + wy[n + 2] * yn;
+  for (let i = 0; i < n; i++) {
+    const k = kernel(Math.hypot(px[i] / D - xn, py[i] / D - yn));
+    u += wx[i] * k; v += wy[i] * k;
+  }
+  out[0] = u * D; out[1] = v * D;
+  return out;
+}
+
+// U(r) = r² log r²
+function kernel(r) {
+  return r > 0 ? r * r * Math.log(r * r) : 0;
+}
+
+// Gaussian elimination with partial pivoting; A (m×m, row-major) is overwritten. null if singular.
+function solve(A, rhs, m) {
+  const b = rhs.map(r => Float64Array.from(r));
+  for (let c = 0; c < m; c++) {
+    let piv = c;
+    for (let r = c + 1; r < m; r++) if (Math.abs(A[r * m + c]) > Math.abs(A[piv * m + c])) piv = r;
+    if (Math.abs(A[piv * m + c]) < 1e-12) return null;
+    if (piv !== c) {
+      for (let k = 0; k < m; k++) { const t = A[c * m + k]; A[c * m + k] = A[piv * m + k]; A[piv * m + k] = t; }
+      for (const v of b) { const t = v[c]; v[c] = v[piv]; v[piv] = t; }
+    }
+    for (let r = c + 1; r < m; r++) {
+      const f = A[r * m + c] / A[c * m + c];
+      if (!f) continue;
+      for (let k = c; k < m; k++) A[r * m + k] -= f * A[c * m + k];
+      for (const v of b) v[r] -= f * v[c];
+    }
+  }
+  for (const v of b) {
+    for (let r = m - 1; r >= 0; r--) {
+      let acc = v[r];
+      for (let k = r + 1; k < m; k++) acc -= A[r * m + k] * v[k];
+      v[r] = acc / A[r * m + r];
+    }
+  }
+  return b;
+}
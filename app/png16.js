@@ -0,0 +1,149 @@
+// png16.js
+// Minimal 16-bit PNG reader/writer for the high bit-depth path (browsers only hand out 8-bit pixels).
+// Pixels are { width, height, data: Float32Array } RGBA in 0..255 (fractions carry the extra bits),
+// the same layout the engine uses for its float source buffer.
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+/** True if the bytes are a PNG with 16 bits per channel */
+export function isPNG16(buffer) {
+  const b = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 33));
+  if (b.length < 33 || SIGNATURE.some((v, i) => b[i] !== v)) return false;
+  return b[24] === 16;
+}
+
+/**
+ * Decode a non-interlaced 16-bit PNG (gray, gray+alpha, RGB, RGBA).
+ * Returns null for anything else, so the caller can fall back to the browser's 8-bit decoder.
+ */
+export async function decodePNG16(buffer) {
+  if (!isPNG16(buffer)) return null;
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  let width = 0, height = 0, colorType = -1, interlace = 0;
+  const idat = [];
+  for (let p = 8; p + 8 <= bytes.length;) {
+    const len = view.getUint32(p);
+    const type = String.fromCharCode(bytes[p + 4], bytes[p + 5], bytes[p + 6], bytes[p + 7]);
+    const body = bytes.subarray(p + 8, p + 8 + len);
+    if (type === "IHDR") {
+      width = view.getUint32(p + 8); height = view.getUint32(p + 12);
+      colorType = bytes[p + 17]; interlace = bytes[p + 20];
+    } else if (type === "IDAT") {
+      idat.push(body);
+    } else if (type === "IEND") {
+      break;
+    }
+    p += 12 + len;
+  }
+  const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+  if (!channels || interlace !== 0 || !width || !height) return null;
+
+  const raw = await inflate(idat);
+  const bpp = channels * 2, stride = width * bpp;
+  if (raw.length < (stride + 1) * height) throw new Error("PNG data is truncated.");
+  unfilter(raw, stride, height, bpp);
+
+  const data = new Float32Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const row = y * (stride + 1) + 1;
+    for (let x = 0; x < width; x++) {
+      const s = row + x * bpp, o = (y * width + x) * 4;
+      const c = (k) => ((raw[s + 2 * k] << 8) | raw[s + 2 * k + 1]) / 257;
+      if (channels <= 2) {
+        data[o] = data[o + 1] = data[o + 2] = c(0);
+        data[o + 3] = channels === 2 ? c(1) : 255;
+      } else {
+        data[o] = c(0); data[o + 1] = c(1); data[o + 2] = c(2);
+        data[o + 3] = channels === 4 ? c(3) : 255;
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+/** Encode float RGBA pixels (0..255) as a 16-bit RGBA PNG */
+export async function encodePNG16({ width, height, data }) {
+  const stride = width * 8;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (stride + 1);
+    raw[row] = 0; // filter: none
+    for (let i = 0; i < width * 4; i++) {
+      const v = Math.round(Math.max(0, Math.min(255, data[y * width * 4 + i])) * 257);
+      raw[row + 1 + 2 * i] = v >> 8;
+      raw[row + 2 + 2 * i] = v & 255;
+    }
+  }
+
+  const ihdr = new Uint8Array(13);
+  const dv = new DataView(ihdr.buffer);
+  dv.setUint32(0, width); dv.setUint32(4, height);
+  ihdr[8] = 16; ihdr[9] = 6; // 16-bit RGBA, deflate, adaptive filtering, no interlace
+
+  return new Blob([
+    new Uint8Array(SIGNATURE),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", await deflate(raw)),
+    chunk("IEND", new Uint8Array(0)),
+  ], { type: "image/png" });
+}
+
+// Undo the per-row PNG filters in place (row = filter byte + stride bytes)
+function unfilter(raw, stride, height, bpp) {
+  for (let y = 0; y < height; y++) {
+    const row = y * (stride + 1), prev = row - stride - 1;
+    const filter = raw[row];
+    for (let i = 1; i <= stride; i++) {
+      const a = i > bpp ? raw[row + i - bpp] : 0;
+      const b = y > 0 ? raw[prev + i] : 0;
+      const c = (y > 0 && i > bpp) ? raw[prev + i - bpp] : 0;
+      let v = raw[row + i];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        v += (pa <= pb && pa <= pc) ? a : (pb <= pc ? b : c);
+      } else if (filter !== 0) throw new Error(`Unknown PNG filter ${filter}.`);
+      raw[row + i] = v & 255;
+    }
+  }
+}
+
+function chunk(type, body) {
+  const out = new Uint8Array(12 + body.length);
+  const dv = new DataView(out.buffer);
+  dv.setUint32(0, body.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(body, 8);
+  dv.setUint32(8 + body.length, crc32(out.subarray(4, 8 + body.length)));
+  return out;
+}
+
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = crcTable[(c ^ bytes[i]) & 255] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// zlib streams via the Compression Streams API ("deflate" = RFC 1950, what PNG uses)
+async function inflate(parts) {
+  const stream = new Blob(parts).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -0,0 +1,237 @@
+// pool.js
+// Web Worker pool for tiled, cancellable rendering.
+// - The source is posted to every worker once per sourceVersion.
+// - Data derived from it (kernel.js buildDerived: mip pyramid, …) is built on first use by one worker
+//   and handed to the others; tiles that need it wait in the queue until it is everywhere.
+// - A job is split into tiles; idle workers pull the next tile from a shared queue.
+// - A job renders against the source and mask versions current when it started; a tile that finds
+//   either replaced fails the job instead of rendering with the wrong data.
+// - Jobs are keyed ("preview", …): starting a job cancels the previous job with the same key,
+//   so a slider move drops all stale preview tiles that have not been rendered yet.
+// - If workers cannot be created (file://, old browser), tiles run on the main thread, one per task.
+
+import { renderTile, setKernelImage, buildDerived, needsDerived } from "./kernel.js";
+
+const TILE = 128;          // tile edge in output pixels
+const MAX_WORKERS = 8;
+
+let workers = [];          // { worker, busy: null | { job, rect } }
+let local = false;         // main-thread fallback mode
+let localBusy = false;
+let source = null;         // { version, width, height, data, derived, building } — data: Uint8ClampedArray or Float32Array
+                           // derived: what → levels (present on every worker); building: what is being made
+let mask = null;           // { version, width, height, data } — strength mask, or null
+let jobSeq = 0;
+
+const active = new Map();  // key → job
+const queue = [];          // pending { job, rect }
+
+/** Spin up the workers (safe to call more than once) */
+export function initPool() {
+  if (workers.length || local) return;
+  const n = Math.max(1, Math.min(MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1));
+  try {
+    for (let i = 0; i < n; i++) {
+      const worker = new Worker(new URL("./worker.js", import.meta.url), { type: "module" });
+      const slot = { worker, busy: null };
+      worker.onmessage = (ev) => onWorkerMessage(slot, ev.data || {});
+      worker.onerror = (ev) => { ev.preventDefault?.(); fallBackToLocal(ev.message || "worker error"); };
+      workers.push(slot);
+    }
+  } catch (e) {
+    fallBackToLocal(e && e.message);
+  }
+}
+
+/** Publish source pixels ({ width, height, data } 8-bit or float) to the workers (call once per sourceVersion) */
+export function setPoolSource(version, pixels) {
+  source = { version, width: pixels.width, height: pixels.height, data: pixels.data, derived: {}, building: new Set() };
+  const float = pixels.data instanceof Float32Array;
+  for (const slot of workers) {
+    const copy = pixels.data.slice().buffer;
+    slot.worker.postMessage({ type: "source", version, width: pixels.width, height: pixels.height, float, buffer: copy }, [copy]);
+  }
+}
+
+// Have one worker build derived data of the current source; the others get it in onDerivedBuilt()
+function requestDerived(what) {
+  if (local || !source || source.derived[what] || source.building.has(what)) return;
+  source.building.add(what);
+  workers[0].worker.postMessage({ type: "build", what, version: source.version });
+}
+
+function onDerivedBuilt(from, msg) {
+  if (!source || source.version !== msg.version) return;
+  source.building.delete(msg.what);
+  if (msg.error) {
+    // Render without it rather than hold the tiles forever (EWA then samples level 0 only)
+    console.warn("[DL-LAB] building", msg.what, "failed:", msg.error);
+    source.derived[msg.what] = [];
+  } else {
+    const Type = msg.float ? Float32Array : Uint8ClampedArray;
+    source.derived[msg.what] = msg.levels.map(l => ({ width: l.width, height: l.height, data: new Type(l.buffer) }));
+  }
+  for (const slot of workers) {
+    if (slot === from) continue;
+    const copies = source.derived[msg.what].map(l => ({ width: l.width, height: l.height, buffer: l.data.slice().buffer }));
+    slot.worker.postMessage({ type: "derived", what: msg.what, version: msg.version, float: !!msg.float, levels: copies },
+                            copies.map(l => l.buffer));
+  }
+}
+
+// All derived data a job needs has reached the workers (a job for an older source fails right away)
+function ready(job) {
+  if (!source || source.version !== job.sourceVersion) return true;
+  return job.needs.every(what => source.derived[what]);
+}
+
+/** Publish an image param's pixels (images.js) to the workers and the main-thread kernel; null drops them */
+export function setPoolImage(id, pixels) {
+  setKernelImage(id, pixels);
+  for (const slot of workers) {
+    if (!pixels) { slot.worker.postMessage({ type: "image", id }); continue; }
+    const copy = pixels.data.slice().buffer;
+    slot.worker.postMessage({ type: "image", id, width: pixels.width, height: pixels.height, buffer: copy }, [copy]);
+  }
+}
+
+/**
+ * Publish the strength mask (grayscale, 1 byte per pixel) to the workers; null clears it.
+ * rect ({ x, y, w, h }) says only those pixels changed since the same mask was last published,
+ * so the workers get just that part — a brush stroke would otherwise copy the whole mask every frame.
+ */
+export function setPoolMask(version, m, rect = null) {
+  const base = (m && rect && mask && mask.data === m.data) ? mask.version : -1;
+  mask = m ? { version, width: m.width, height: m.height, data: m.data } : null;
+  for (const slot of workers) {
+    if (!m) { slot.worker.postMessage({ type: "mask", version: -1 }); continue; }
+    if (base >= 0) {
+      const patch = new Uint8ClampedArray(rect.w * rect.h);
+      for (let row = 0; row < rect.h; row++) {
+        const i = (rect.y + row) * m.width + rect.x;
+        patch.set(m.data.subarray(i, i + rect.w), row * rect.w);
+      }
+      slot.worker.postMessage({ type: "maskPatch", version, base, rect, buffer: patch.buffer }, [patch.buffer]);
+      continue;
+    }
+    const copy = m.data.slice().buffer;
+    slot.worker.postMessage({ type: "mask", version, width: m.width, height: m.height, buffer: copy }, [copy]);
+  }
+}
+
+/**
+ * Render spec into an outW × outH output, tile by tile.
+ * onTile(rect, pixels) is called for every finished tile of a job that is still current.
+ * Resolves true when all tiles are done, false if the job was cancelled.
+ */
+export function runJob(key, spec, outW, outH, onTile) {
+  cancelJob(key);
+  initPool();
+
+  return new Promise((resolve, reject) => {
+    const job = { id: ++jobSeq, key, spec, sourceVersion: source ? source.version : -1,
+                  maskVersion: (spec.useMask && mask) ? mask.version : -1,
+                  needs: needsDerived(spec), onTile, resolve, reject, remaining: 0, cancelled: false };
+    if (!source) { resolve(false); return; }
+    for (const what of job.needs) requestDerived(what);
+
+    for (let y = 0; y < outH; y += TILE) {
+      for (let x = 0; x < outW; x += TILE) {
+        queue.push({ job, rect: { x, y, w: Math.min(TILE, outW - x), h: Math.min(TILE, outH - y) } });
+        job.remaining++;
+      }
+    }
+    if (!job.remaining) { resolve(true); return; }
+
+    active.set(key, job);
+    pump();
+  });
+}
+
+/** Drop every queued tile of the job with this key; in-flight tiles are discarded on arrival */
+export function cancelJob(key) {
+  const job = active.get(key);
+  if (!job) return;
+  dropJob(job);
+  job.resolve(false);
+}
+
+function dropJob(job) {
+  job.cancelled = true;
+  if (active.get(job.key) === job) active.delete(job.key);
+  for (let i = queue.length - 1; i >= 0; i--) if (queue[i].job === job) queue.splice(i, 1);
+}
+
+function pump() {
+  if (local) { pumpLocal(); return; }
+  for (const slot of workers) {
+    if (slot.busy) continue;
+    const i = queue.findIndex(t => ready(t.job));
+    if (i < 0) return;
+    const next = queue.splice(i, 1)[0];
+    slot.busy = next;
+    slot.worker.postMessage({
+      type: "tile", jobId: next.job.id, sourceVersion: next.job.sourceVersion, maskVersion: next.job.maskVersion,
+      spec: next.job.spec, rect: next.rect
+    });
+  }
+}
+
+function pumpLocal() {
+  if (localBusy || !queue.length) return;
+  localBusy = true;
+  setTimeout(() => {
+    localBusy = false;
+    const next = queue.shift();
+    if (!next) return;
+    try {
+      if (!source || source.version !== next.job.sourceVersion) throw new Error("source version mismatch");
+      for (const what of next.job.needs) source.derived[what] ||= buildDerived(source, what);
+      const mv = next.job.maskVersion;
+      if (mv >= 0 && (!mask || mask.version !== mv)) throw new Error("mask version mismatch");
+      tileDone(next.job, next.rect, renderTile(source, next.job.spec, next.rect, mv >= 0 ? mask : null));
+    } catch (e) {
+      tileFailed(next.job, e);
+    }
+    pumpLocal();
+  }, 0);
+}
+
+function onWorkerMessage(slot, msg) {
+  if (msg.type === "built") { onDerivedBuilt(slot, msg); pump(); return; }
+  const cur = slot.busy;
+  slot.busy = null;
+  if (cur && msg.jobId === cur.job.id) {
+    if (msg.type === "tile") tileDone(cur.job, msg.rect, cur.job.spec.float ? new Float32Array(msg.buffer) : new Uint8ClampedArray(msg.buffer));
+    else if (msg.type === "error") tileFailed(cur.job, new Error(msg.message));
+  }
+  pump();
+}
+
+function tileDone(job, rect, pixels) {
+  if (job.cancelled) return;
+  try { job.onTile(rect, pixels); } catch (e) { console.error(e); }
+  if (--job.remaining === 0) {
+    active.delete(job.key);
+    job.resolve(true);
+  }
+}
+
+function tileFailed(job, err) {
+  if (job.cancelled) return;
+  dropJob(job);
+  job.reject(err);
+}
+
+function fallBackToLocal(reason) {
+  if (local) return;
+  console.warn("[DL-LAB] render workers unavailable, rendering on main thread:", reason);
+  local = true;
+  // Re-queue whatever the workers were holding
+  for (const slot of workers) {
+    if (slot.busy && !slot.busy.job.cancelled) queue.unshift(slot.busy);
+    try { slot.worker.terminate(); } catch (_) {}
+  }
+  workers = [];
+  pumpLocal();
+}
@@ -0,0 +1,198 @@
+// presets.js
+// Preset file format + validation against each filter's params schema.
+//
+// Format (version 2) — a whole filter stack, applied first → last:
+//   { "version": 2, "name": "My preset",
+//     "stack": [ { "filterId": "twirl", "enabled": true, "params": { "angle": 120, ... } }, ... ],
+//     "mask": { "enabled": true, "png": "data:image/png;base64,..." },       ← optional strength mask
+//     "settings": { "sampler": "bicubic" },                                   ← optional global render settings
+//     "images": { "img-…": { "name": "map.png", "url": "data:image/png;base64,..." } } }
+//                                          ← files referenced by "image" params (displacement maps, …)
+//
+// Version 1 files (single filter) are still accepted:
+//   { "version": 1, "name": "My preset", "filterId": "twirl", "params": { ... } }
+
+import { registry, defaultParamsFor, paramSchema } from "./filters.js";
+import { settingsSchema, defaultSettings } from "./settings.js";
+import { normalizeMesh, MESH_MIN, MESH_MAX } from "./mesh.js";
+import { normalizePins, MAX_PINS } from "./pins.js";
+
+export const PRESET_VERSION = 2;
+
+/**
+ * Build a preset object from a filter stack snapshot.
+ * extras: { mask: { enabled, png }, settings: render settings, images: { id: { name, url } } } — all optional
+ */
+export function makePreset(name, stack, { mask = null, settings = null, images = null } = {}) {
+  const preset = {
+    version: PRESET_VERSION,
+    name: String(name || "").trim() || stack.map(l => l.filterId).join(" + "),
+    stack: stack.map(l => ({ filterId: l.filterId, enabled: l.enabled !== false, params: { ...l.params } })),
+  };
+  if (mask) preset.mask = { enabled: !!mask.enabled, png: mask.png };
+  if (settings) preset.settings = { ...settings };
+  if (images && Object.keys(images).length) preset.images = structuredClone(images);
+  return preset;
+}
+
+/**
+ * Parse and validate a preset (JSON text or already-parsed object).
+ * Throws on unusable input (bad JSON, no usable filter, newer format);
+ * recoverable problems are reported in `warnings` and replaced by defaults / clamped values.
+ * @returns {{ name:string, stack:{filterId:string,enabled:boolean,params:object}[],
+ *            mask:{enabled:boolean,png:string}|null, settings:object|null,
+ *            images:Object<string,{name:string,url:string}>, warnings:string[] }}
+ */
+export function parsePreset(input) {
+  let data = input;
+  if (typeof input === "string") {
+    try { data = JSON.parse(input); }
+    catch (e) { throw new Error("Preset is not valid JSON."); }
+  }
+  if (!data || typeof data !== "object") throw new Error("Preset must be a JSON object.");
+
+  const version = Number(data.version);
+  if (!Number.isInteger(version) || version < 1) throw new Error("Preset has no valid \"version\".");
+  if (version > PRESET_VERSION) throw new Error(`Preset version ${version} is newer than supported (${PRESET_VERSION}).`);
+
+  const rawStack = (version === 1)
+    ? [{ filterId: data.filterId, enabled: true, params: data.params }]
+    : data.stack;
+  if (!Array.isArray(rawStack) || !rawStack.length) throw new Error("Preset has no filters.");
+
+  const warnings = [];
+  const stack = [];
+  const multi = rawStack.length > 1;
+  rawStack.forEach((raw, i) => {
+    const filter = registry.find(f => f.id === raw?.filterId);
+    const prefix = multi ? `Layer ${i + 1}${filter ? ` (${filter.name})` : ""}: ` : "";
+    if (!filter) {
+      if (!multi) throw new Error(`Unknown filter "${raw?.filterId}".`);
+      warnings.push(`${prefix}unknown filter "${raw?.filterId}" skipped.`);
+      return;
+    }
+    const res = validateParams(filter, raw.params);
+    for (const w of res.warnings) warnings.push(prefix + w);
+    stack.push({ filterId: filter.id, enabled: raw.enabled !== false, params: res.params });
+  });
+  if (!stack.length) throw new Error("Preset has no known filters.");
+
+  let mask = null;
+  if (data.mask !== undefined && data.mask !== null) {
+    if (typeof data.mask.png === "string" && data.mask.png.startsWith("data:image/png")) {
+      mask = { enabled: data.mask.enabled !== false, png: data.mask.png };
+    } else {
+      warnings.push("Mask is not a PNG data URL — ignored.");
+    }
+  }
+
+  let settings = null;
+  if (data.settings !== undefined && data.settings !== null) {
+    const res = validateSettings(data.settings);
+    for (const w of res.warnings) warnings.push("Render settings: " + w);
+    settings = res.settings;
+  }
+
+  const images = {};
+  if (data.images && typeof data.images === "object") {
+    for (const [id, img] of Object.entries(data.images)) {
+      if (typeof img?.url === "string" && img.url.startsWith("data:")) images[id] = { name: String(img.name || "image"), url: img.url };
+      else warnings.push(`Image "${img?.name || id}" is not a data URL — ignored.`);
+    }
+  }
+
+  return { name: String(data.name || ""), stack, mask, settings, images, warnings };
+}
+
+/**
+ * Check raw values against the filter's params schema (min/max/options/type).
+ * Unknown keys are dropped, missing keys get defaults, out-of-range values are clamped.
+ * Missing shared params (added after a preset was written) fall back to defaults silently.
+ */
+export function validateParams(filter, raw) {
+  return validateValues(paramSchema(filter), defaultParamsFor(filter), raw);
+}
+
+/** Same checks for the global render settings (settings.js); missing keys keep their defaults */
+export function validateSettings(raw) {
+  const { params, warnings } = validateValues(settingsSchema, defaultSettings(), raw, true);
+  return { settings: params, warnings };
+}
+
+function validateValues(schema, params, raw, quietMissing = false) {
+  const warnings = [];
+  const src = (raw && typeof raw === "object") ? raw : {};
+
+  for (const key of Object.keys(src)) {
+    if (!(key in schema)) warnings.push(`Unknown parameter "${key}" ignored.`);
+  }
+
+  for (const [key, def] of Object.entries(schema)) {
+    const label = def.label || key;
+    if (!(key in src)) {
+      if (def.shared || quietMissing) continue;
+      warnings.push(`"${label}" missing — using default ${fmt(def.default)}.`);
+      continue;
+    }
+    const v = src[key];
+
+    if (def.type === "select") {
+      const hit = (def.options || []).find(o => String(o) === String(v));
+      if (hit === undefined) warnings.push(`"${label}": ${fmt(v)} is not one of ${def.options.join(", ")} — using default ${fmt(def.default)}.`);
+      else params[key] = hit;
+      continue;
+    }
+
+    if (def.type === "image") {
+      if (typeof v === "string") params[key] = v;
+      else warnings.push(`"${label}": ${fmt(v)} is not an image reference — left empty.`);
+      continue;
+    }
+
+    if (def.type === "mesh") {
+      const m = normalizeMesh(v);
+      if (m) params[key] = m;
+      else warnings.push(`"${label}": not a ${MESH_MIN}..${MESH_MAX} point grid — using the undistorted default.`);
+      continue;
+    }
+
+    if (def.type === "pins") {
+      const pins = normalizePins(v);
+      if (pins) params[key] = pins;
+      else warnings.push(`"${label}": not a list of up to ${MAX_PINS} source → target pairs — no pins.`);
+      continue;
+    }
+
+    if (def.type === "checkbox") {
+      if (typeof v === "boolean") params[key] = v;
+      else if (v === "true" || v === "false") params[key] = (v === "true");
+      else warnings.push(`"${label}": ${fmt(v)} is not true/false — using default ${fmt(def.default)}.`);
+      continue;
+    }
+
+    // range / number
+    const n = Number(v);
+    if (v === null || v === "" || !isFinite(n)) {
+      warnings.push(`"${label}": ${fmt(v)} is not a number — using default ${fmt(def.default)}.`);
+      continue;
+    }
+    let c = n;
+    if (def.min !== undefined && c < def.min) c = def.min;
+    if (def.max !== undefined && c > def.max) c = def.max;
+    if (c !== n) warnings.push(`"${label}": ${n} is outside ${def.min ?? "−∞"}..${def.max ?? "∞"} — clamped to ${c}.`);
+    params[key] = c;
+  }
+
+  return { params, warnings };
+}
+
+/** Safe file name for a preset download */
+export function presetFileName(preset) {
+  const base = String(preset.name || preset.stack?.[0]?.filterId || "").replace(/[^\w\-. ]+/g, "_").trim() || "preset";
+  return base + ".json";
+}
+
+function fmt(v) {
+  if (v && typeof v === "object") return "value";
+  return typeof v === "string" ? `"${v}"` : String(v);
+}
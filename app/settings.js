@@ -0,0 +1,20 @@
+// settings.js
+// Global render settings (not tied to a filter). Same schema shape as filter params,
+// so the panel builder and preset validation work on them unchanged.
+
+export const settingsSchema = {
+  sampler: { label:"Resampling", type:"select", options:["nearest","bilinear","bicubic","lanczos3"], default:"bilinear",
+             hint:"nearest: pixel art · bicubic: Catmull-Rom · lanczos3: sharpest" },
+  quality: { label:"Anti-aliasing", type:"select", options:["off","4x","adaptive","ewa"], default:"off",
+             hint:"adaptive: more taps only where the distortion shrinks the image · ewa: elliptical area filter on a mip pyramid (ignores Resampling)" },
+  linear:  { label:"Linear-light filtering", type:"checkbox", default:false,
+             hint:"Interpolate and blend in linear light instead of sRGB values (keeps fine patterns from darkening)" },
+  frame:   { label:"Center & radius relative to", type:"select", options:["document","layer"], default:"document",
+             hint:"For layers sent from Photopea: document = Center X/Y and Radius refer to the whole Photopea document" },
+};
+
+export function defaultSettings() {
+  const o = {};
+  for (const [k, def] of Object.entries(settingsSchema)) o[k] = def.default;
+  return o;
+}
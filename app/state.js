@@ -1,18 +1,34 @@
 import { getCanvasRefs } from "./canvas.js";
+import { registry, defaultParamsFor } from "./filters.js";
+import { settingsSchema, defaultSettings } from "./settings.js";
 
 /**
  * Global application state (single source of truth).
+ *
+ * The filter stack is evaluated first → last (stack[0] is applied to the source first).
+ * The params panel edits stack[activeLayer]; filterId / currentFilter mirror that layer.
  */
 export const state = {
   image: null,                   // HTMLImageElement
   canvas: null, ctx: null,       // visible canvas + 2D context
   srcCanvas: null, srcCtx: null, // offscreen source buffer (original pixels 1:1)
-  filterId: null,                // current filter id
-  params: {},                    // parameter snapshots per filter id
-  currentFilter: null,           // registry entry for the current filter
+  srcFloat: null,                // high bit-depth source { width, height, data: Float32Array 0..255 } (16-bit input
+                                 // and its bakes); srcCanvas then holds its 8-bit copy for display
+  stack: [],                     // filter instances: { uid, filterId, params, enabled }
+  activeLayer: 0,                // index of the layer shown in the params panel
+  filterId: null,                // filter id of the active layer
+  params: {},                    // last-used parameter snapshots per filter id
+  currentFilter: null,           // registry entry for the active layer's filter
   viewScale: 1,                  // zoom scale applied to the output canvas
+  interactive: false,            // true while a slider is dragged → coarse preview
+  mask: null,                    // strength mask (mask.js): { width, height, data, enabled, version }
+  settings: defaultSettings(),   // global render settings (settings.js), stored in presets
+  docBounds: null,               // layer from Photopea: { x, y, width, height, docWidth, docHeight } — where
+                                 // the source sat in its document (document pixels); null for plain files
 };
 
+let uidSeq = 0;
+
 export async function initState() {
   const { canvas, ctx, srcCanvas, srcCtx } = getCanvasRefs();
   state.canvas = canvas; state.ctx = ctx;
@@ -22,12 +38,93 @@ export async function initState() {
   try { window.state = state; } catch (_) {}
 }
 
+/** New stack entry; params default to the filter's last-used snapshot */
+export function makeLayer(filterId, params = null, enabled = true) {
+  const f = registry.find(x => x.id === filterId) || registry[0];
+  return {
+    uid: ++uidSeq,
+    filterId: f.id,
+    params: structuredClone(params || state.params[f.id] || defaultParamsFor(f)),
+    enabled: !!enabled,
+  };
+}
+
+export function activeLayer() {
+  return state.stack[state.activeLayer] || null;
+}
+
+/** Replace the whole stack (presets, history, session restore) */
+export function setStack(stack, active = stack.length - 1) {
+  state.stack = stack.map(l => ({ ...l, uid: l.uid || ++uidSeq, params: structuredClone(l.params) }));
+  if (!state.stack.length) state.stack.push(makeLayer(registry[0].id));
+  state.activeLayer = Math.max(0, Math.min(state.stack.length - 1, active));
+  syncActive();
+}
+
+export function selectLayer(i) {
+  if (!state.stack[i]) return;
+  state.activeLayer = i;
+  syncActive();
+}
+
+/** Add a layer on top of the active one and make it active */
+export function addLayer(filterId) {
+  state.stack.splice(state.activeLayer + 1, 0, makeLayer(filterId));
+  state.activeLayer++;
+  syncActive();
+}
+
+export function removeLayer(i) {
+  if (state.stack.length <= 1 || !state.stack[i]) return;
+  state.stack.splice(i, 1);
+  if (state.activeLayer >= i) state.activeLayer = Math.max(0, state.activeLayer - 1);
+  syncActive();
+}
+
+/** Move layer i by dir (+1 = later in the chain) */
+export function moveLayer(i, dir) {
+  const j = i + dir;
+  if (!state.stack[i] || !state.stack[j]) return;
+  [state.stack[i], state.stack[j]] = [state.stack[j], state.stack[i]];
+  if (state.activeLayer === i) state.activeLayer = j;
+  else if (state.activeLayer === j) state.activeLayer = i;
+  syncActive();
+}
+
+export function setLayerEnabled(i, enabled) {
+  if (state.stack[i]) state.stack[i].enabled = !!enabled;
+}
+
+/** Switch the active layer to another filter; its params come from that filter's last-used snapshot */
 export function setFilterId(id) {
+  const layer = activeLayer();
+  if (layer && layer.filterId !== id) {
+    state.params[layer.filterId] = structuredClone(layer.params);
+    const f = registry.find(x => x.id === id);
+    layer.filterId = id;
+    layer.params = structuredClone(state.params[id] || (f ? defaultParamsFor(f) : {}));
+  }
   state.filterId = id;
+  state.currentFilter = registry.find(x => x.id === id) || null;
+}
+
+/** Set a parameter of the active layer */
+export function setParam(key, val) {
+  const layer = activeLayer();
+  if (!layer) return;
+  layer.params[key] = coerce(val);
+  state.params[layer.filterId] = structuredClone(layer.params);
+}
+
+/** Set a global render setting */
+export function setSetting(key, val) {
+  if (key in settingsSchema) state.settings[key] = coerce(val);
 }
 
-export function setParam(fid, key, val) {
-  state.params[fid][key] = coerce(val);
+function syncActive() {
+  const layer = activeLayer();
+  state.filterId = layer ? layer.filterId : null;
+  state.currentFilter = layer ? registry.find(x => x.id === layer.filterId) || null : null;
 }
 
 function coerce(v) {
@@ -0,0 +1,49 @@
+// thumbnail.js
+// Small preview images for the preset library.
+// Renders on the main thread with the same kernel the workers use, on a downscaled copy of
+// the current source — or of assets/grid.png when no image is loaded yet.
+
+import { state } from "./state.js";
+import { renderTile, buildDerived, needsDerived } from "./kernel.js";
+import { loadImage } from "./utils.js";
+
+const THUMB = 96;                      // longest edge in pixels
+const REFERENCE_URL = "./assets/grid.png";
+
+let reference = null;                  // cached downscaled reference grid
+
+/** Render a preset ({ stack }) to a PNG data URL */
+export async function renderThumbnail(preset) {
+  const img = await thumbSource();
+  const layers = preset.stack.filter(l => l.enabled !== false);
+  const spec = { layers, scale: 1, ...preset.settings };
+  // Thumbnails are tiny: whatever the settings need (linear copy, mips) is built right here
+  const src = { width: img.width, height: img.height, data: img.data, derived: {} };
+  for (const what of needsDerived(spec)) src.derived[what] = buildDerived(src, what);
+  const pixels = renderTile(src, spec, { x: 0, y: 0, w: src.width, h: src.height });
+  const c = document.createElement("canvas");
+  c.width = src.width; c.height = src.height;
+  c.getContext("2d").putImageData(new ImageData(pixels, src.width, src.height), 0, 0);
+  return c.toDataURL("image/png");
+}
+
+async function thumbSource() {
+  const { srcCanvas } = state;
+  if (srcCanvas && srcCanvas.width && srcCanvas.height) return downscale(srcCanvas, srcCanvas.width, srcCanvas.height);
+  if (!reference) {
+    const img = await loadImage(REFERENCE_URL);
+    reference = downscale(img, img.naturalWidth || img.width, img.naturalHeight || img.height);
+  }
+  return reference;
+}
+
+function downscale(image, w, h) {
+  const k = Math.min(1, THUMB / Math.max(w, h));
+  const tw = Math.max(1, Math.round(w * k)), th = Math.max(1, Math.round(h * k));
+  const c = document.createElement("canvas");
+  c.width = tw; c.height = th;
+  const ctx = c.getContext("2d", { willReadFrequently: true });
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(image, 0, 0, tw, th);
+  return ctx.getImageData(0, 0, tw, th);
+}
@@ -0,0 +1,215 @@
+// transfer.js
+// Chunked postMessage transfer between the plugin page and the Lab (LAB_IMAGE, LAB_EXPORT).
+// Shared by plugin.html and main.js; each window creates one and feeds it every message from the other.
+//
+// A layer-sized PNG in a single postMessage can fail silently, so the payload is cut into chunks
+// the receiver acknowledges:
+//   → XFER_BEGIN { xfer, kind, meta, sizes: { name: bytes, … }, chunkSize, count }
+//   → XFER_CHUNK { xfer, index, data }        at most WINDOW chunks ahead of the last ack
+//   ← XFER_ACK   { xfer, next, resend? }      next chunk index the receiver expects (cumulative)
+//   → XFER_ABORT { xfer }                     a newer transfer of the same kind replaced it
+// postMessage keeps order, so a chunk arriving ahead of its turn means one got lost: the receiver
+// answers once with resend:true and the sender goes back to `next`. If no ack arrives for
+// ACK_TIMEOUT_MS the sender repeats BEGIN (answered with the receiver's position) and resumes from
+// the last acked chunk instead of starting over.
+// When every chunk is in, the receiver hands { type: kind, ...meta, [name]: ArrayBuffer } to onMessage.
+
+const CHUNK_SIZE     = 1 << 20;   // 1 MiB
+const WINDOW         = 4;         // chunks in flight
+const ACK_TIMEOUT_MS = 3000;
+const MAX_STALLS     = 6;         // timeouts in a row before giving up
+const MAX_BYTES      = 1 << 30;   // refuse to allocate more than this for one incoming transfer
+
+const TYPES = new Set(["XFER_BEGIN", "XFER_CHUNK", "XFER_ACK", "XFER_ABORT"]);
+
+let idCounter = 0;
+
+/**
+ * opts: { post(msg, transferables) — to the other window,
+ *         onMessage(msg) — a completed incoming transfer,
+ *         onProgress({ kind, direction: "send" | "receive", done, total }) — bytes, optional,
+ *         log(...args) — optional }
+ * Returns { send(kind, meta, buffers) → Promise of true once every chunk is acked, false if a newer
+ *             send() of the same kind replaced it; rejects when the other window stops answering,
+ *           handle(msg) → true if msg belonged to the transfer protocol,
+ *           cancel(kind) }
+ */
+export function createTransfer({ post, onMessage, onProgress = () => {}, log = () => {} }) {
+  const outgoing = new Map();   // kind → sender state
+  const incoming = new Map();   // kind → receiver state
+  const finished = new Map();   // xfer → count, for BEGINs repeated after the last ack got lost
+
+  // ---------- Sending ----------
+
+  function send(kind, meta, buffers) {
+    cancel(kind);
+    const names = Object.keys(buffers).filter(k => buffers[k] instanceof ArrayBuffer);
+    const sizes = {};
+    let total = 0;
+    for (const k of names) { sizes[k] = buffers[k].byteLength; total += sizes[k]; }
+    const bytes = new Uint8Array(total);
+    let o = 0;
+    for (const k of names) { bytes.set(new Uint8Array(buffers[k]), o); o += sizes[k]; }
+
+    const s = {
+      xfer: Date.now().toString(36) + "-" + (++idCounter) + "-" + Math.random().toString(36).slice(2, 8),
+      kind, meta, sizes, bytes,
+      count: Math.max(1, Math.ceil(total / CHUNK_SIZE)),
+      next: 0, sent: 0, stalls: 0, timer: 0,
+    };
+    outgoing.set(kind, s);
+    log("→", kind, "in", s.count, "chunk(s),", total, "bytes, xfer", s.xfer);
+    onProgress({ kind, direction: "send", done: 0, total });
+
+    return new Promise((resolve, reject) => {
+      s.resolve = resolve; s.reject = reject;
+      begin(s);
+    });
+  }
+
+  function begin(s) {
+    post({ type: "XFER_BEGIN", xfer: s.xfer, kind: s.kind, meta: s.meta, sizes: s.sizes,
+           chunkSize: CHUNK_SIZE, count: s.count }, []);
+    s.sent = s.next;
+    pump(s);
+  }
+
+  function pump(s) {
+    while (s.sent < s.count && s.sent - s.next < WINDOW) {
+      const index = s.sent++;
+      const data = s.bytes.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE).buffer;
+      post({ type: "XFER_CHUNK", xfer: s.xfer, index, data }, [data]);
+    }
+    arm(s);
+  }
+
+  function arm(s) {
+    clearTimeout(s.timer);
+    s.timer = setTimeout(() => {
+      if (outgoing.get(s.kind) !== s) return;
+      if (++s.stalls > MAX_STALLS) {
+        outgoing.delete(s.kind);
+        post({ type: "XFER_ABORT", xfer: s.xfer }, []);
+        log("✗", s.kind, "no acknowledgement, giving up at chunk", s.next, "of", s.count);
+        s.reject(new Error(`${s.kind} transfer stalled at chunk ${s.next} of ${s.count}`));
+        return;
+      }
+      log("…", s.kind, "no ack, resuming from chunk", s.next);
+      begin(s);
+    }, ACK_TIMEOUT_MS);
+  }
+
+  function onAck(msg) {
+    const s = [...outgoing.values()].find(x => x.xfer === msg.xfer);
+    if (!s || !Number.isInteger(msg.next)) return;
+    const next = Math.max(0, Math.min(msg.next, s.count));
+    if (next !== s.next) {
+      // Going backwards only happens when the receiver lost its state (the window was reloaded)
+      if (next < s.next) { log("↺", s.kind, "receiver restarted at chunk", next); s.sent = next; }
+      s.next = next;
+      s.stalls = 0;
+      onProgress({ kind: s.kind, direction: "send", done: Math.min(next * CHUNK_SIZE, s.bytes.length), total: s.bytes.length });
+    }
+    if (s.next >= s.count) {
+      clearTimeout(s.timer);
+      outgoing.delete(s.kind);
+      log("✓", s.kind, "delivered, xfer", s.xfer);
+      s.resolve(true);
+      return;
+    }
+    if (msg.resend) {
+      log("↺", s.kind, "chunk", s.next, "lost, resending");
+      s.sent = s.next;
+    }
+    pump(s);
+  }
+
+  function cancel(kind) {
+    const s = outgoing.get(kind);
+    if (!s) return;
+    clearTimeout(s.timer);
+    outgoing.delete(kind);
+    post({ type: "XFER_ABORT", xfer: s.xfer }, []);
+    s.resolve(false);
+  }
+
+  // ---------- Receiving ----------
+
+  function onBegin(msg) {
+    if (finished.has(msg.xfer)) { ack(msg.xfer, finished.get(msg.xfer)); return; }
+    let r = incoming.get(msg.kind);
+    if (!r || r.xfer !== msg.xfer) {
+      const sizes = msg.sizes && typeof msg.sizes === "object" ? msg.sizes : {};
+      const total = Object.values(sizes).reduce((a, n) => a + (Number.isInteger(n) && n >= 0 ? n : NaN), 0);
+      if (!(total <= MAX_BYTES) || !Number.isInteger(msg.chunkSize) || msg.chunkSize <= 0 ||
+          msg.count !== Math.max(1, Math.ceil(total / msg.chunkSize))) {
+        log("✗ ignoring malformed", msg.kind, "transfer", msg.xfer);
+        return;
+      }
+      r = { xfer: msg.xfer, kind: msg.kind, meta: msg.meta || {}, sizes, chunkSize: msg.chunkSize,
+            count: msg.count, bytes: new Uint8Array(total), next: 0, nakFor: -1 };
+      incoming.set(msg.kind, r);
+      log("←", msg.kind, "in", r.count, "chunk(s),", total, "bytes, xfer", r.xfer);
+      onProgress({ kind: r.kind, direction: "receive", done: 0, total });
+    }
+    r.nakFor = -1;
+    ack(r.xfer, r.next);
+  }
+
+  function onChunk(msg) {
+    const r = [...incoming.values()].find(x => x.xfer === msg.xfer);
+    if (!r) return;   // BEGIN got lost; the sender repeats it after its timeout
+    if (msg.index < r.next) { ack(r.xfer, r.next); return; }
+    if (msg.index > r.next) {
+      if (r.nakFor !== r.next) { r.nakFor = r.next; ack(r.xfer, r.next, true); }
+      return;
+    }
+    const data = msg.data instanceof ArrayBuffer ? new Uint8Array(msg.data) : null;
+    const offset = r.next * r.chunkSize;
+    const expected = Math.min(r.chunkSize, r.bytes.length - offset);
+    if (!data || data.length !== expected) { log("✗ bad chunk", msg.index, "of", r.kind); return; }
+    r.bytes.set(data, offset);
+    r.next++;
+    ack(r.xfer, r.next);
+    onProgress({ kind: r.kind, direction: "receive", done: offset + expected, total: r.bytes.length });
+    if (r.next === r.count) complete(r);
+  }
+
+  function complete(r) {
+    incoming.delete(r.kind);
+    finished.set(r.xfer, r.count);
+    if (finished.size > 16) finished.delete(finished.keys().next().value);
+    const out = { ...r.meta, type: r.kind };
+    let o = 0;
+    for (const [name, size] of Object.entries(r.sizes)) {
+      out[name] = r.bytes.buffer.slice(o, o + size);
+      o += size;
+    }
+    log("✓", r.kind, "received, xfer", r.xfer);
+    onMessage(out);
+  }
+
+  function onAbort(msg) {
+    for (const [kind, r] of incoming) {
+      if (r.xfer !== msg.xfer) continue;
+      incoming.delete(kind);
+      log("✗", kind, "transfer aborted by sender");
+      onProgress({ kind, direction: "receive", done: 0, total: 0 });
+    }
+  }
+
+  function ack(xfer, next, resend = false) {
+    post(resend ? { type: "XFER_ACK", xfer, next, resend } : { type: "XFER_ACK", xfer, next }, []);
+  }
+
+  function handle(msg) {
+    if (!msg || !TYPES.has(msg.type) || typeof msg.xfer !== "string") return false;
+    if (msg.type === "XFER_BEGIN") onBegin(msg);
+    else if (msg.type === "XFER_CHUNK") onChunk(msg);
+    else if (msg.type === "XFER_ACK") onAck(msg);
+    else onAbort(msg);
+    return true;
+  }
+
+  return { send, handle, cancel };
+}
@@ -1,16 +1,54 @@
-export function buildParamsPanel(root, filter, values, onChange) {
+import { registry, paramSchema } from "./filters.js";
+import { settingsSchema } from "./settings.js";
+import { loadImageFile, imageInfo } from "./images.js";
+import { restMesh, normalizeMesh, resampleMesh, MESH_MIN, MESH_MAX } from "./mesh.js";
+import { normalizePins } from "./pins.js";
+
+/**
+ * Controls for the active layer's params.
+ * canvasEdit (optional): { active: key being edited on the canvas or null, toggle(key) } —
+ * params edited by dragging on the canvas (mesh, pins) get an "Edit on canvas" button wired to it.
+ */
+export function buildParamsPanel(root, filter, values, onChange, canvasEdit = null) {
+  buildControls(root, paramSchema(filter), values, onChange, "param_", canvasEdit);
+}
+
+/** Global render settings (sampler, …) — same controls, own id prefix */
+export function buildSettingsPanel(root, values, onChange) {
+  buildControls(root, settingsSchema, values, onChange, "setting_");
+}
+
+// Param types whose control reports changes itself (not through a single input element)
+const CUSTOM_TYPES = new Set(["image", "mesh", "pins"]);
+
+function buildControls(root, p, values, onChange, idPrefix, canvasEdit = null) {
   root.innerHTML = "";
-  const p = filter.params || {};
+  let sharedStarted = false;
   for (const [key, def] of Object.entries(p)) {
+    // Shared controls (opacity, blend, …) are set apart from the filter's own params
+    if (def.shared && !sharedStarted) {
+      sharedStarted = true;
+      const sep = document.createElement("div");
+      sep.className = "params-sep";
+      sep.textContent = "Layer";
+      root.appendChild(sep);
+    }
+
     const wrap = document.createElement("div");
     wrap.className = "row";
     const label = document.createElement("label");
     label.textContent = def.label || key;
-    label.htmlFor = `param_${key}`;
+    label.htmlFor = idPrefix + key;
     wrap.appendChild(label);
 
     let input;
-    if (def.type === "select") {
+    if (def.type === "image") {
+      input = imageControl(values[key], (id) => onChange(key, id));
+    } else if (def.type === "mesh") {
+      input = meshControl(values, key, (m) => onChange(key, m), canvasEdit);
+    } else if (def.type === "pins") {
+      input = pinsControl(values[key], () => onChange(key, { pairs: [] }), canvasEdit, key);
+    } else if (def.type === "select") {
       input = document.createElement("select");
       for (const opt of def.options) {
         const o = document.createElement("option");
@@ -38,8 +76,8 @@ export function buildParamsPanel(root, filter, values, onChange) {
       if (def.step !== undefined) input.step = def.step;
       input.value = values[key];
     }
-    input.id = `param_${key}`;
-    input.addEventListener("input", () => {
+    input.id = idPrefix + key;
+    if (!CUSTOM_TYPES.has(def.type)) input.addEventListener("input", () => {
       const v = (def.type === "checkbox") ? input.checked : input.value;
       onChange(key, v);
     });
@@ -54,3 +92,227 @@ export function buildParamsPanel(root, filter, values, onChange) {
     root.appendChild(wrap);
   }
 }
+
+/**
+ * "image" param: Load… / Clear buttons + file name and size. onPick(id) gets the images.js id ("" = none).
+ */
+function imageControl(value, onPick) {
+  const box = document.createElement("div");
+  const info = document.createElement("div");
+  info.className = "hint";
+  const describe = (id) => {
+    const meta = id ? imageInfo(id) : null;
+    info.textContent = !id ? "No image" : meta ? `${meta.name} — ${meta.width}×${meta.height}` : "Image not loaded";
+  };
+  describe(value);
+
+  const file = document.createElement("input");
+  file.type = "file";
+  file.accept = "image/*,.exr";
+  file.style.display = "none";
+
+  const buttons = document.createElement("div");
+  buttons.className = "btn-grid-3";
+  buttons.style.cssText = "grid-template-columns:1fr 1fr; gap:8px; margin-top:0;";
+  const pick = document.createElement("button");
+  pick.className = "secondary";
+  pick.textContent = "Load…";
+  const clear = document.createElement("button");
+  clear.className = "secondary";
+  clear.textContent = "Clear";
+  buttons.append(pick, clear);
+
+  pick.addEventListener("click", () => file.click());
+  clear.addEventListener("click", () => { describe(""); onPick(""); });
+  file.addEventListener("change", async () => {
+    const f = file.files?.[0];
+    file.value = "";
+    if (!f) return;
+    info.textContent = "Loading…";
+    try {
+      const id = await loadImageFile(f);
+      describe(id);
+      onPick(id);
+    } catch (e) {
+      console.error(e);
+      info.textContent = "Could not load image: " + e.message;
+    }
+  });
+
+  box.append(buttons, info, file);
+  return box;
+}
+
+/**
+ * "mesh" param: grid density (resamples the current shape), Edit on canvas, Reset.
+ * The value is read from values[key] when used: canvas drags change it without rebuilding the panel.
+ */
+function meshControl(values, key, onChange, canvasEdit) {
+  const box = document.createElement("div");
+  const current = () => normalizeMesh(values[key]) || restMesh(4, 4);
+  const mesh = current();
+
+  const size = document.createElement("div");
+  size.className = "btn-grid-3";
+  size.style.cssText = "grid-template-columns:1fr 1fr; gap:8px; margin-top:0;";
+  const dims = {};
+  for (const [k, title] of [["cols", "Columns"], ["rows", "Rows"]]) {
+    const n = document.createElement("input");
+    n.type = "number";
+    n.min = MESH_MIN; n.max = MESH_MAX; n.step = 1;
+    n.value = mesh[k];
+    n.title = title;
+    dims[k] = n;
+    size.appendChild(n);
+  }
+  const resize = () => {
+    const c = Math.round(Number(dims.cols.value)), r = Math.round(Number(dims.rows.value));
+    if (!(c >= MESH_MIN && c <= MESH_MAX && r >= MESH_MIN && r <= MESH_MAX)) return;
+    const m = current();
+    if (c === m.cols && r === m.rows) return;
+    onChange(resampleMesh(m, c, r, values.interp));
+  };
+  dims.cols.addEventListener("change", resize);
+  dims.rows.addEventListener("change", resize);
+
+  const buttons = canvasEditButtons(canvasEdit, key, "Reset", () => {
+    const m = current();
+    onChange(restMesh(m.cols, m.rows));
+  });
+  buttons.style.marginTop = "8px";
+
+  box.append(size, buttons);
+  return box;
+}
+
+/**
+ * "pins" param: pin count, Edit on canvas, Clear. Pins are added and moved on the canvas.
+ */
+function pinsControl(value, onClear, canvasEdit, key) {
+  const box = document.createElement("div");
+  const n = normalizePins(value)?.pairs.length || 0;
+  const buttons = canvasEditButtons(canvasEdit, key, "Clear", onClear);
+  buttons.style.marginTop = "0";
+  const info = document.createElement("div");
+  info.className = "hint";
+  info.textContent = n ? `${n} pin${n === 1 ? "" : "s"}` : "No pins";
+  box.append(buttons, info);
+  return box;
+}
+
+// "Edit on canvas" toggle + one more button, side by side
+function canvasEditButtons(canvasEdit, key, label, onClick) {
+  const buttons = document.createElement("div");
+  buttons.className = "btn-grid-3";
+  buttons.style.cssText = "grid-template-columns:1fr 1fr; gap:8px;";
+  const edit = document.createElement("button");
+  edit.type = "button";
+  edit.className = "secondary";
+  const editing = canvasEdit?.active === key;
+  edit.classList.toggle("on", editing);
+  edit.textContent = editing ? "Stop editing" : "Edit on canvas";
+  edit.disabled = !canvasEdit;
+  edit.addEventListener("click", () => canvasEdit?.toggle(key));
+  const other = document.createElement("button");
+  other.type = "button";
+  other.className = "secondary";
+  other.textContent = label;
+  other.addEventListener("click", onClick);
+  buttons.append(edit, other);
+  return buttons;
+}
+
+/**
+ * Preset library list: one row per entry (thumbnail, name, rename/delete).
+ * handlers: { onApply(entry), onRename(entry), onDelete(entry) }
+ */
+export function buildLibraryList(root, entries, handlers) {
+  root.innerHTML = "";
+  if (!entries.length) {
+    const empty = document.createElement("div");
+    empty.className = "hint";
+    empty.textContent = "No saved presets yet.";
+    root.appendChild(empty);
+    return;
+  }
+  for (const entry of entries) {
+    const item = document.createElement("div");
+    item.className = "lib-item";
+    const filters = (entry.filterIds || []).map(id => registry.find(f => f.id === id)?.name || id).join(" + ");
+    item.title = `Apply "${entry.name}" (${filters})`;
+    item.addEventListener("click", () => handlers.onApply(entry));
+
+    const thumb = document.createElement("img");
+    thumb.className = "lib-thumb";
+    thumb.alt = "";
+    if (entry.thumb) thumb.src = entry.thumb;
+    item.appendChild(thumb);
+
+    const text = document.createElement("div");
+    text.className = "lib-text";
+    const name = document.createElement("div");
+    name.className = "lib-name";
+    name.textContent = entry.name;
+    const sub = document.createElement("div");
+    sub.className = "hint";
+    sub.textContent = filters;
+    text.append(name, sub);
+    item.appendChild(text);
+
+    for (const [label, title, fn] of [["✎", "Rename", handlers.onRename], ["✕", "Delete", handlers.onDelete]]) {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "lib-btn";
+      b.textContent = label;
+      b.title = title;
+      b.addEventListener("click", (ev) => { ev.stopPropagation(); fn(entry); });
+      item.appendChild(b);
+    }
+    root.appendChild(item);
+  }
+}
+
+/**
+ * Filter stack list, drawn top-down like layers: the last filter in the chain is on top.
+ * layers: [{ uid, name, enabled }], active: index into layers
+ * handlers: { onSelect(i), onToggle(i, enabled), onMove(i, dir), onRemove(i) }
+ */
+export function buildStackList(root, layers, active, handlers) {
+  root.innerHTML = "";
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const layer = layers[i];
+    const item = document.createElement("div");
+    item.className = "stack-item" + (i === active ? " active" : "") + (layer.enabled ? "" : " disabled");
+    item.addEventListener("click", () => handlers.onSelect(i));
+
+    const toggle = document.createElement("input");
+    toggle.type = "checkbox";
+    toggle.checked = !!layer.enabled;
+    toggle.title = "Enable / disable";
+    toggle.addEventListener("click", (ev) => ev.stopPropagation());
+    toggle.addEventListener("change", () => handlers.onToggle(i, toggle.checked));
+    item.appendChild(toggle);
+
+    const name = document.createElement("div");
+    name.className = "stack-name";
+    name.textContent = layer.name;
+    item.appendChild(name);
+
+    const buttons = [
+      ["▲", "Move up (applied later)", () => handlers.onMove(i, +1), i === layers.length - 1],
+      ["▼", "Move down (applied earlier)", () => handlers.onMove(i, -1), i === 0],
+      ["✕", "Remove", () => handlers.onRemove(i), layers.length <= 1],
+    ];
+    for (const [label, title, fn, disabled] of buttons) {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "lib-btn";
+      b.textContent = label;
+      b.title = title;
+      b.disabled = disabled;
+      b.addEventListener("click", (ev) => { ev.stopPropagation(); fn(); });
+      item.appendChild(b);
+    }
+    root.appendChild(item);
+  }
+}
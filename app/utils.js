@@ -5,13 +5,21 @@ export function mirror(v, n){ // 0..n mirrors like |saw|
   return t <= n ? t : (2*n - t);
 }
 
-export function getSampler(edgeMode, W, H, buf) {
-  return { W, H, buf, edgeMode };
+/**
+ * Sampler over an RGBA buffer. kind: "nearest" | "bilinear" | "bicubic" | "lanczos3".
+ * Taps that fall outside the image follow edgeMode (clamp / wrap / mirror; transparent = empty).
+ * Interpolation is done on premultiplied colors, so transparent pixels do not bleed into edges.
+ * buf may be a Uint8ClampedArray or a Float32Array (0..255); results are unrounded floats.
+ */
+export function getSampler(edgeMode, W, H, buf, kind = "bilinear") {
+  return { W, H, buf, edgeMode, kind };
 }
 
 export function edgeResolve(u, v, W, H, mode) {
   if (mode === "transparent") {
-    if (u<0 || v<0 || u>W-1 || v>H-1) return { out:true, ux:0, vy:0 };
+    // Pixel i covers [i-0.5, i+0.5]. Within one pixel of the image the sampler still sees some
+    // image taps next to empty ones, which gives an anti-aliased boundary instead of a hard cut.
+    if (u<=-1 || v<=-1 || u>=W || v>=H) return { out:true, ux:0, vy:0 };
     return { out:false, ux:u, vy:v };
   }
   if (mode === "clamp") {
@@ -26,23 +34,113 @@ export function edgeResolve(u, v, W, H, mode) {
   return { out:false, ux: clamp(u,0,W-1), vy: clamp(v,0,H-1) };
 }
 
+/** Integer tap index under an edge mode; -1 means "outside, transparent" */
+export function tapIndex(i, n, mode) {
+  if (i >= 0 && i < n) return i;
+  if (mode === "wrap") return wrap(i, n);
+  if (mode === "mirror") return n > 1 ? Math.round(mirror(i, n - 1)) : 0;
+  if (mode === "transparent") return -1;
+  return i < 0 ? 0 : n - 1;
+}
+
+/**
+ * Sample with the sampler's interpolation kind → [r, g, b, a].
+ * The array is reused by the next call (this runs per output pixel): read it before sampling again.
+ */
+export function sample(sampler, x, y) {
+  switch (sampler.kind) {
+    case "nearest":  return nearestSample(sampler, x, y);
+    case "bicubic":  return separableSample(sampler, x, y, 2, catmullRom);
+    case "lanczos3": return separableSample(sampler, x, y, 3, lanczos3);
+    default:         return bilinearSample(sampler, x, y);
+  }
+}
+
+export function nearestSample(sampler, x, y) {
+  const { W, H, buf, edgeMode } = sampler;
+  const xi = tapIndex(Math.round(x), W, edgeMode), yi = tapIndex(Math.round(y), H, edgeMode);
+  if (xi < 0 || yi < 0) return rgba(0, 0, 0, 0);
+  const i = (yi * W + xi) << 2;
+  return rgba(buf[i], buf[i+1], buf[i+2], buf[i+3]);
+}
+
 export function bilinearSample(sampler, x, y) {
-  const { W, H, buf } = sampler;
-  const x0 = Math.floor(x), y0 = Math.floor(y);
-  const x1 = Math.min(x0+1, W-1), y1 = Math.min(y0+1, H-1);
-  const dx = x - x0, dy = y - y0;
-
-  // index helper
-  const idx = (xx, yy) => ((yy * W + xx) << 2);
-
-  const i00 = idx(x0,y0), i10 = idx(x1,y0), i01 = idx(x0,y1), i11 = idx(x1,y1);
-  const w00 = (1-dx)*(1-dy), w10 = dx*(1-dy), w01 = (1-dx)*dy, w11 = dx*dy;
-
-  const r = buf[i00]*w00 + buf[i10]*w10 + buf[i01]*w01 + buf[i11]*w11;
-  const g = buf[i00+1]*w00 + buf[i10+1]*w10 + buf[i01+1]*w01 + buf[i11+1]*w11;
-  const b = buf[i00+2]*w00 + buf[i10+2]*w10 + buf[i01+2]*w01 + buf[i11+2]*w11;
-  const a = buf[i00+3]*w00 + buf[i10+3]*w10 + buf[i01+3]*w01 + buf[i11+3]*w11;
-  return [r|0, g|0, b|0, a|0];
+  const { W, H, buf, edgeMode } = sampler;
+  const fx = Math.floor(x), fy = Math.floor(y);
+  const dx = x - fx, dy = y - fy;
+  const x0 = tapIndex(fx, W, edgeMode), x1 = tapIndex(fx+1, W, edgeMode);
+  const y0 = tapIndex(fy, H, edgeMode), y1 = tapIndex(fy+1, H, edgeMode);
+
+  // premultiply → interpolate → unpremultiply; taps k = 0..3 are (x0,y0) (x1,y0) (x0,y1) (x1,y1),
+  // a tap index of -1 is transparent
+  let r = 0, g = 0, b = 0, a = 0;
+  for (let k = 0; k < 4; k++) {
+    const xx = (k & 1) ? x1 : x0, yy = (k & 2) ? y1 : y0;
+    if (xx < 0 || yy < 0) continue;
+    const i = (yy * W + xx) << 2;
+    const aw = buf[i+3] * (((k & 1) ? dx : 1-dx) * ((k & 2) ? dy : 1-dy));
+    r += buf[i] * aw; g += buf[i+1] * aw; b += buf[i+2] * aw; a += aw;
+  }
+  if (a <= 0) return rgba(0, 0, 0, 0);
+  return rgba(r/a, g/a, b/a, a);
+}
+
+// Separable kernel of radius r (taps floor(x)-r+1 .. floor(x)+r), weights normalized
+function separableSample(sampler, x, y, r, kernel) {
+  const { W, H, buf, edgeMode } = sampler;
+  const fx = Math.floor(x), fy = Math.floor(y);
+  const n = 2 * r;
+  const wx = WX, wy = WY, ix = IX, iy = IY;
+  let sx = 0, sy = 0;
+  for (let k = 0; k < n; k++) {
+    const ox = fx - r + 1 + k, oy = fy - r + 1 + k;
+    wx[k] = kernel(x - ox); sx += wx[k]; ix[k] = tapIndex(ox, W, edgeMode);
+    wy[k] = kernel(y - oy); sy += wy[k]; iy[k] = tapIndex(oy, H, edgeMode);
+  }
+  // premultiply → interpolate → unpremultiply
+  let r0 = 0, g0 = 0, b0 = 0, a0 = 0;
+  for (let j = 0; j < n; j++) {
+    if (iy[j] < 0) continue;
+    const row = iy[j] * W;
+    for (let k = 0; k < n; k++) {
+      if (ix[k] < 0) continue;
+      const i = (row + ix[k]) << 2;
+      const aw = buf[i+3] * wx[k] * wy[j];
+      r0 += buf[i] * aw; g0 += buf[i+1] * aw; b0 += buf[i+2] * aw; a0 += aw;
+    }
+  }
+  const a = a0 / ((sx * sy) || 1);
+  if (a <= 0) return rgba(0, 0, 0, 0);
+  // Sharpening kernels overshoot; clamp back into range
+  return rgba(clamp(r0 / a0, 0, 255), clamp(g0 / a0, 0, 255), clamp(b0 / a0, 0, 255), clamp(a, 0, 255));
+}
+
+// Per-tap scratch for separableSample (radius ≤ 3), reused across calls — this runs per output pixel
+const WX = new Float64Array(6), WY = new Float64Array(6);
+const IX = new Int32Array(6), IY = new Int32Array(6);
+
+// The array every sampler returns (see sample())
+const RGBA = [0, 0, 0, 0];
+function rgba(r, g, b, a) {
+  RGBA[0] = r; RGBA[1] = g; RGBA[2] = b; RGBA[3] = a;
+  return RGBA;
+}
+
+// Catmull-Rom cubic (a = -0.5), support [-2, 2]
+function catmullRom(t) {
+  t = Math.abs(t);
+  if (t < 1) return 1.5*t*t*t - 2.5*t*t + 1;
+  if (t < 2) return -0.5*t*t*t + 2.5*t*t - 4*t + 2;
+  return 0;
+}
+
+// Lanczos windowed sinc, a = 3
+function lanczos3(t) {
+  t = Math.abs(t);
+  if (t < 1e-8) return 1;
+  if (t >= 3) return 0;
+  const px = Math.PI * t;
+  return 3 * Math.sin(px) * Math.sin(px / 3) / (px * px);
 }
 
 // Optional helper to preload demo
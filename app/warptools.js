@@ -0,0 +1,202 @@
+// warptools.js
+// overlay.js tools that edit a filter param by dragging on the canvas.
+// The tool never keeps its own copy of the value: it reads it through get() on every event
+// and hands a new value to set(), so undo / presets / layer switches show up immediately.
+
+import { restMesh, normalizeMesh, meshPoint, prepareMesh, evalMesh } from "./mesh.js";
+import { normalizePins, MAX_PINS } from "./pins.js";
+
+const HIT_PX = 9;          // pick radius around a handle, screen pixels
+const CURVE_STEPS = 8;     // polyline segments per cell for bicubic grid lines
+
+/**
+ * Mesh editor for filters/mesh.js.
+ * opts: { get() → mesh, set(mesh), size() → { W, H } source pixels, interp() → "bicubic" | "bilinear",
+ *         onEdit(phase) with "start" | "move" | "end" | "hover" }
+ */
+export function createMeshTool({ get, set, size, interp, onEdit }) {
+  let drag = null;     // { index, dx, dy } while a point is held
+  let hover = -1;
+  let scale = 1;       // screen pixels per source pixel, from the last draw
+
+  const mesh = () => normalizeMesh(get()) || restMesh(4, 4);
+
+  function pick(pt) {
+    const m = mesh(), { W, H } = size();
+    let best = -1, bestD = HIT_PX / scale;
+    for (let k = 0; k < m.offsets.length; k += 2) {
+      const [x, y] = meshPoint(m, k);
+      const d = Math.hypot(x / 100 * W - pt.x, y / 100 * H - pt.y);
+      if (d <= bestD) { best = k; bestD = d; }
+    }
+    return best;
+  }
+
+  return {
+    cursor: "crosshair",
+    pointerDown(pt) {
+      const k = pick(pt);
+      if (k < 0) return;
+      const [x, y] = meshPoint(mesh(), k), { W, H } = size();
+      drag = { index: k, dx: x / 100 * W - pt.x, dy: y / 100 * H - pt.y };
+      onEdit("start");
+    },
+    pointerMove(pt, ev, dragging) {
+      if (!dragging || !drag) {
+        const k = pick(pt);
+        if (k !== hover) { hover = k; onEdit("hover"); }
+        return;
+      }
+      const m = mesh(), { W, H } = size();
+      const [x, y] = meshPoint(m, drag.index);
+      const offsets = m.offsets.slice();
+      offsets[drag.index]     = Math.round((offsets[drag.index]     + (pt.x + drag.dx) / W * 100 - x) * 100) / 100;
+      offsets[drag.index + 1] = Math.round((offsets[drag.index + 1] + (pt.y + drag.dy) / H * 100 - y) * 100) / 100;
+      set({ cols: m.cols, rows: m.rows, offsets });
+      onEdit("move");
+    },
+    pointerUp() {
+      if (!drag) return;
+      drag = null;
+      onEdit("end");
+    },
+    draw(ctx, view) {
+      scale = view.scale;
+      const m = mesh(), { W, H } = size();
+      if (!W || !H) return;
+      const g = prepareMesh(m, W, H);
+      const bicubic = interp() !== "bilinear";
+      const steps = bicubic ? CURVE_STEPS : 1;
+      const f = new Float64Array(6);
+
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = "rgba(88,166,255,.85)";
+      ctx.beginPath();
+      const line = (s0, t0, ds, dt, n) => {
+        for (let q = 0; q <= n; q++) {
+          evalMesh(g, s0 + ds * q, t0 + dt * q, bicubic, f);
+          const [sx, sy] = view.toScreen(f[0], f[1]);
+          if (q === 0) ctx.moveTo(sx, sy); else ctx.lineTo(sx, sy);
+        }
+      };
+      for (let j = 0; j < m.rows; j++) line(0, j, 1 / steps, 0, (m.cols - 1) * steps);
+      for (let i = 0; i < m.cols; i++) line(i, 0, 0, 1 / steps, (m.rows - 1) * steps);
+      ctx.stroke();
+
+      for (let k = 0; k < m.offsets.length; k += 2) {
+        const [x, y] = meshPoint(m, k);
+        const [sx, sy] = view.toScreen(x / 100 * W, y / 100 * H);
+        const hot = k === hover || k === drag?.index;
+        ctx.fillStyle = hot ? "#58a6ff" : "#fff";
+        ctx.strokeStyle = "rgba(0,0,0,.6)";
+        ctx.fillRect(sx - 3.5, sy - 3.5, 7, 7);
+        ctx.strokeRect(sx - 3.5, sy - 3.5, 7, 7);
+      }
+    },
+  };
+}
+
+/**
+ * Pin editor for filters/pin.js: click adds a pin (and drags its target), dragging moves either
+ * end, Alt/Ctrl+click deletes a pin.
+ * opts: { get() → pins, set(pins), size() → { W, H } source pixels, onEdit(phase) as for the mesh tool }
+ */
+export function createPinTool({ get, set, size, onEdit }) {
+  let drag = null;     // { pin, end: 0 (source) | 2 (target), dx, dy }
+  let hover = null;    // { pin, end }
+  let scale = 1;
+
+  const pins = () => normalizePins(get()) || { pairs: [] };
+
+  // Nearest pin end under the pointer; targets win over sources when they overlap
+  function pick(pt) {
+    const { W, H } = size();
+    let best = null, bestD = HIT_PX / scale;
+    pins().pairs.forEach((pr, i) => {
+      for (const end of [2, 0]) {
+        const d = Math.hypot(pr[end] / 100 * W - pt.x, pr[end + 1] / 100 * H - pt.y);
+        if (d < bestD || (d === bestD && !best)) { best = { pin: i, end }; bestD = d; }
+      }
+    });
+    return best;
+  }
+
+  function update(fn) {
+    const pairs = pins().pairs.map(pr => pr.slice());
+    fn(pairs);
+    set({ pairs });
+  }
+
+  return {
+    cursor: "crosshair",
+    pointerDown(pt, ev) {
+      const { W, H } = size();
+      const hit = pick(pt);
+      if (hit && (ev?.altKey || ev?.ctrlKey || ev?.metaKey)) {
+        onEdit("start");
+        update(pairs => pairs.splice(hit.pin, 1));
+        hover = null;
+        onEdit("end");
+        return;
+      }
+      if (hit) {
+        const pr = pins().pairs[hit.pin];
+        drag = { ...hit, dx: pr[hit.end] / 100 * W - pt.x, dy: pr[hit.end + 1] / 100 * H - pt.y };
+        onEdit("start");
+        return;
+      }
+      if (pins().pairs.length >= MAX_PINS) return;
+      const x = pct(pt.x, W), y = pct(pt.y, H);
+      onEdit("start");
+      update(pairs => pairs.push([x, y, x, y]));
+      drag = { pin: pins().pairs.length - 1, end: 2, dx: 0, dy: 0 };
+    },
+    pointerMove(pt, ev, dragging) {
+      if (!dragging || !drag) {
+        const hit = pick(pt);
+        if (hit?.pin !== hover?.pin || hit?.end !== hover?.end) { hover = hit; onEdit("hover"); }
+        return;
+      }
+      const { W, H } = size();
+      update(pairs => {
+        const pr = pairs[drag.pin];
+        if (!pr) return;
+        pr[drag.end] = pct(pt.x + drag.dx, W);
+        pr[drag.end + 1] = pct(pt.y + drag.dy, H);
+      });
+      onEdit("move");
+    },
+    pointerUp() {
+      if (!drag) return;
+      drag = null;
+      onEdit("end");
+    },
+    draw(ctx, view) {
+      scale = view.scale;
+      const { W, H } = size();
+      if (!W || !H) return;
+      pins().pairs.forEach(([sx, sy, tx, ty], i) => {
+        const [ax, ay] = view.toScreen(sx / 100 * W, sy / 100 * H);
+        const [bx, by] = view.toScreen(tx / 100 * W, ty / 100 * H);
+        const hot = (end) => (hover?.pin === i && hover.end === end) || (drag?.pin === i && drag.end === end);
+
+        ctx.strokeStyle = "rgba(255,255,255,.9)";
+        ctx.lineWidth = 1.5;
+        ctx.beginPath(); ctx.moveTo(ax, ay); ctx.lineTo(bx, by); ctx.stroke();
+
+        // source: hollow ring, target: filled dot
+        ctx.strokeStyle = hot(0) ? "#58a6ff" : "rgba(0,0,0,.7)";
+        ctx.beginPath(); ctx.arc(ax, ay, 4, 0, Math.PI * 2); ctx.stroke();
+        ctx.fillStyle = hot(2) ? "#58a6ff" : "#fff";
+        ctx.strokeStyle = "rgba(0,0,0,.7)";
+        ctx.beginPath(); ctx.arc(bx, by, 4.5, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+      });
+    },
+  };
+}
+
+// Source pixels → % of the image, two decimals like the stored values
+function pct(v, size) {
+  return Math.round(v / size * 10000) / 100;
+}
+
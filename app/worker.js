@@ -0,0 +1,72 @@
+// worker.js
+// Render worker (module worker). Holds one copy of the source pixels per sourceVersion
+// and renders tiles on request; the pool in pool.js decides what to render and when.
+
+import { renderTile, setKernelImage, buildDerived } from "./kernel.js";
+
+let src = null;  // { version, width, height, data, derived: { what → levels } }
+let mask = null; // { version, width, height, data } strength mask
+
+self.onmessage = (ev) => {
+  const msg = ev.data || {};
+
+  if (msg.type === "source") {
+    const data = msg.float ? new Float32Array(msg.buffer) : new Uint8ClampedArray(msg.buffer);
+    src = { version: msg.version, width: msg.width, height: msg.height, data, derived: {} };
+    return;
+  }
+
+  // Derived data (kernel.js buildDerived): this worker builds it and sends the pool a copy …
+  if (msg.type === "build") {
+    const reply = { type: "built", what: msg.what, version: msg.version };
+    try {
+      if (!src || src.version !== msg.version) throw new Error("source version mismatch");
+      const levels = src.derived[msg.what] = buildDerived(src, msg.what);
+      const copies = levels.map(l => ({ width: l.width, height: l.height, buffer: l.data.slice().buffer }));
+      const float = levels.length > 0 && levels[0].data instanceof Float32Array;
+      self.postMessage({ ...reply, float, levels: copies }, copies.map(l => l.buffer));
+    } catch (e) {
+      self.postMessage({ ...reply, error: String(e && e.message || e) });
+    }
+    return;
+  }
+
+  // … which passes it on to the other workers
+  if (msg.type === "derived") {
+    if (src && src.version === msg.version) {
+      const Type = msg.float ? Float32Array : Uint8ClampedArray;
+      src.derived[msg.what] = msg.levels.map(l => ({ width: l.width, height: l.height, data: new Type(l.buffer) }));
+    }
+    return;
+  }
+
+  if (msg.type === "image") {
+    setKernelImage(msg.id, msg.buffer ? { width: msg.width, height: msg.height, data: new Float32Array(msg.buffer) } : null);
+    return;
+  }
+
+  if (msg.type === "mask") {
+    mask = (msg.version >= 0) ? { version: msg.version, width: msg.width, height: msg.height, data: new Uint8ClampedArray(msg.buffer) } : null;
+    return;
+  }
+
+  // Pixels changed since version `base`; without that version the mask is unusable until the next full copy
+  if (msg.type === "maskPatch") {
+    if (!mask || mask.version !== msg.base) { mask = null; return; }
+    const { x, y, w, h } = msg.rect, patch = new Uint8ClampedArray(msg.buffer);
+    for (let row = 0; row < h; row++) mask.data.set(patch.subarray(row * w, (row + 1) * w), (y + row) * mask.width + x);
+    mask.version = msg.version;
+    return;
+  }
+
+  if (msg.type === "tile") {
+    try {
+      if (!src || src.version !== msg.sourceVersion) throw new Error("source version mismatch");
+      if (msg.maskVersion >= 0 && (!mask || mask.version !== msg.maskVersion)) throw new Error("mask version mismatch");
+      const pixels = renderTile(src, msg.spec, msg.rect, msg.maskVersion >= 0 ? mask : null);
+      self.postMessage({ type: "tile", jobId: msg.jobId, rect: msg.rect, buffer: pixels.buffer }, [pixels.buffer]);
+    } catch (e) {
+      self.postMessage({ type: "error", jobId: msg.jobId, rect: msg.rect, message: String(e && e.message || e) });
+    }
+  }
+};
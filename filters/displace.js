@@ -0,0 +1,73 @@
+/**
+ * Displacement Map (like Photoshop's Displace)
+ * A second image offsets the sample point:
+ *   offset mode:  u = x + scaleX * 2 * (c_x - mid),  v = y + scaleY * 2 * (c_y - mid)
+ *                 c_x / c_y = R / G ("r/g") or one channel for both axes; mid = midpoint (0..1)
+ *                 → a white pixel moves the sample by ±scale px at the default 50% midpoint
+ *   stmap mode:   R,G hold normalized source coordinates (u+0.5)/W, (v+0.5)/H, as written by
+ *                 "Export UV map" or Nuke / After Effects / Blender; alpha 0 marks "no source"
+ * The map is stretched over the image or tiled at its own pixel size.
+ */
+
+import { getSampler, sample } from "../app/utils.js";
+
+const samplers = new WeakMap(); // map image pixels → { clamp, wrap } samplers
+
+export default {
+  id: "displace",
+  name: "Displacement Map",
+  params: {
+    map:      { label:"Map image", type:"image", default:"" },
+    mode:     { label:"Map type", type:"select", options:["offset","stmap"], default:"offset" },
+    channel:  { label:"Channel", type:"select", options:["r/g","luminance","red","green","blue","alpha"], default:"r/g",
+                hint:"offset mode: r/g = red moves horizontally, green vertically" },
+    scaleX:   { label:"Horizontal scale (px)", type:"range", min:-500, max:500, step:1, default:20 },
+    scaleY:   { label:"Vertical scale (px)", type:"range", min:-500, max:500, step:1, default:20 },
+    midpoint: { label:"Midpoint (%)", type:"range", min:0, max:100, step:1, default:50 },
+    fit:      { label:"Map fit", type:"select", options:["stretch","tile"], default:"stretch" },
+    flipV:    { label:"STMap V origin at bottom", type:"checkbox", default:false },
+    edgeMode: { label:"Edges", type:"select", options:["clamp","wrap","mirror","transparent"], default:"clamp" }
+  },
+  map(x, y, W, H, p) {
+    const m = p.map;
+    if (!m) return { u:x, v:y };
+
+    const s = sampler(m, (p.fit === "tile") ? "wrap" : "clamp");
+
+    const mx = (p.fit === "tile") ? x : (x + 0.5) * m.width / W - 0.5;
+    const my = (p.fit === "tile") ? y : (y + 0.5) * m.height / H - 0.5;
+    const c = sample(s, mx, my);
+
+    if (p.mode === "stmap") {
+      if (c[3] <= 0) return { u:W*10, v:H*10, aOverride:0 };
+      const t = c[1] / 255;
+      const u = (c[0] / 255) * W - 0.5;
+      const v = (p.flipV ? 1 - t : t) * H - 0.5;
+      return c[3] < 255 ? { u, v, aOverride:c[3] } : { u, v };
+    }
+
+    const mid = (p.midpoint ?? 50) / 100;
+    let cx, cy;
+    switch (p.channel) {
+      case "luminance": cx = cy = (0.2126*c[0] + 0.7152*c[1] + 0.0722*c[2]) / 255; break;
+      case "red":   cx = cy = c[0] / 255; break;
+      case "green": cx = cy = c[1] / 255; break;
+      case "blue":  cx = cy = c[2] / 255; break;
+      case "alpha": cx = cy = c[3] / 255; break;
+      default:      cx = c[0] / 255; cy = c[1] / 255;
+    }
+    // Fully transparent map pixels do not displace
+    if (c[3] <= 0 && p.channel !== "alpha") cx = cy = mid;
+
+    return {
+      u: x + (p.scaleX || 0) * 2 * (cx - mid),
+      v: y + (p.scaleY || 0) * 2 * (cy - mid)
+    };
+  }
+};
+
+function sampler(m, edgeMode) {
+  let s = samplers.get(m);
+  if (!s) samplers.set(m, s = {});
+  return s[edgeMode] ||= getSampler(edgeMode, m.width, m.height, m.data, "bilinear");
+}
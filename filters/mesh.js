@@ -0,0 +1,49 @@
+/**
+ * Mesh Warp
+ * A grid of control points dragged on the canvas: the content under each point's rest
+ * position moves to where the point is. Between points the grid is bilinear or Catmull-Rom.
+ *
+ * Inverse mapping (output → source):
+ *   find grid coordinates (s,t) with  Mesh(s,t) = (x,y)   (Newton, started from the grid
+ *   coordinates of (x,y) at rest), then  u,v = rest position of (s,t).
+ * Where the mesh folds over itself there is no single answer; the fold nearest the rest position wins.
+ * The start depends on (x,y) alone, so tiles, workers and the coarse preview all find the same fold.
+ */
+
+import { restMesh, normalizeMesh, prepareMesh, invertMesh } from "../app/mesh.js";
+
+const prepared = new WeakMap(); // mesh param object → grid in pixels
+const st = new Float64Array(2);
+
+export default {
+  id: "mesh",
+  name: "Mesh Warp",
+  params: {
+    mesh:     { label:"Mesh", type:"mesh", default:restMesh(4, 4),
+                hint:"Drag the points on the canvas. Changing the density keeps the current shape." },
+    interp:   { label:"Interpolation", type:"select", options:["bicubic","bilinear"], default:"bicubic" },
+    edgeMode: { label:"Edges", type:"select", options:["clamp","wrap","mirror","transparent"], default:"transparent" }
+  },
+  map(x, y, W, H, p) {
+    const g = grid(p.mesh, W, H);
+    if (!g) return { u:x, v:y };
+    const sx = (g.cols - 1) / W, sy = (g.rows - 1) / H;
+
+    st[0] = (x + 0.5) * sx;
+    st[1] = (y + 0.5) * sy;
+    invertMesh(g, x + 0.5, y + 0.5, p.interp !== "bilinear", st);
+
+    return { u: st[0] / sx - 0.5, v: st[1] / sy - 0.5 };
+  }
+};
+
+function grid(mesh, W, H) {
+  if (!mesh || typeof mesh !== "object") return null;
+  let g = prepared.get(mesh);
+  if (!g || g.W !== W || g.H !== H) {
+    const m = normalizeMesh(mesh);
+    g = m ? prepareMesh(m, W, H) : null;
+    if (g) prepared.set(mesh, g);
+  }
+  return g;
+}
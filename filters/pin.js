@@ -0,0 +1,49 @@
+/**
+ * Pin Warp
+ * Source → target pin pairs placed on the canvas; the content at each source is pulled to its
+ * target and everything in between follows smoothly.
+ *
+ * Inverse mapping (output → source): the warp is fitted from targets to sources, so
+ *   (u,v) = f(x,y)   with f(target_i) = source_i
+ *   rigid / similarity / affine: moving least squares, weights 1/d²
+ *   tps: thin-plate spline (fewer than 3 pins, or all in a line: similarity MLS)
+ * Stiffness blends towards one global fit (MLS) or smooths the spline (TPS); pins then
+ * stop being matched exactly.
+ */
+
+import { normalizePins, preparePins, evalPins } from "../app/pins.js";
+
+const prepared = new WeakMap(); // pins param object → solved warp
+const out = new Float64Array(2);
+
+export default {
+  id: "pin",
+  name: "Pin Warp",
+  params: {
+    pins:      { label:"Pins", type:"pins", default:{ pairs:[] },
+                 hint:"Click to add a pin and drag to pull it; drag either end to move it; Alt+click deletes." },
+    method:    { label:"Method", type:"select", options:["rigid","similarity","affine","tps"], default:"rigid",
+                 hint:"rigid / similarity / affine: moving least squares; tps: thin-plate spline" },
+    stiffness: { label:"Stiffness (%)", type:"range", min:0, max:100, step:1, default:0 },
+    edgeMode:  { label:"Edges", type:"select", options:["clamp","wrap","mirror","transparent"], default:"clamp" }
+  },
+  map(x, y, W, H, p) {
+    const g = warp(p, W, H);
+    if (!g) return { u:x, v:y };
+    evalPins(g, x + 0.5, y + 0.5, out);
+    return { u: out[0] - 0.5, v: out[1] - 0.5 };
+  }
+};
+
+function warp(p, W, H) {
+  if (!p.pins || typeof p.pins !== "object") return null;
+  const method = p.method || "rigid";
+  const stiffness = Math.max(0, Math.min(1, (Number(p.stiffness) || 0) / 100));
+  let g = prepared.get(p.pins);
+  if (!g || g.W !== W || g.H !== H || g.method !== method || g.stiffness !== stiffness) {
+    const pins = normalizePins(p.pins);
+    g = pins ? preparePins(pins, W, H, method, stiffness) : null;
+    if (g) prepared.set(p.pins, g);
+  }
+  return g;
+}